@@ -1,135 +1,4649 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { Upload, FileText, AlertTriangle, CheckCircle, MessageSquare, Send, ShieldAlert, X, ChevronRight, ChevronDown, Loader2, File, Mail, Copy, Check } from 'lucide-react';
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { Upload, FileText, AlertTriangle, CheckCircle, MessageSquare, Send, ShieldAlert, X, ChevronRight, ChevronDown, Loader2, File as FileIcon, Mail, Copy, Check, BookOpen, Plus, Trash2, Save, Eye, EyeOff, ZoomIn, ZoomOut, Table, Play, XCircle, Clock, GitCompare, FileDown, Download, History, Search, KeyRound, Settings, Square, RotateCcw, CalendarClock } from 'lucide-react';
+import { GoogleGenerativeAI, SchemaType } from "@google/generative-ai";
+import * as pdfjsLib from 'pdfjs-dist';
+import JSZip from 'jszip';
+import { jsPDF } from 'jspdf';
+import { createWorker } from 'tesseract.js';
+import PostalMime from 'postal-mime';
+import MsgReader from '@kenjiuno/msgreader';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.mjs`;
 
 // --- Constants & Configurations ---
 
-// UPDATED: Health Future Specific Standards based on uploaded template
-const STANDARD_TERMS = `
-1. Payment Terms: Net 30 days from delivery and receipt of undisputed invoice.
-2. Shipping: FOB Destination (Vendor pays freight & insurance). No "Handling" or "Shipping & Handling" fees permitted.
-3. Termination: 
-   - For Convenience: 90 days prior written notice.
-   - For Cause: 30 days cure period.
-   - Immediate: For insurance failure, excluded provider status (OIG), or confidentiality breach.
-4. Indemnification: Mutual indemnification for breach, violation of law, negligence, or willful misconduct.
-5. Warranty: Products must be free from defects, fit for purpose, and meet industry standards.
-6. Pricing: Fixed/Firm for the entire Term. Includes GPO alignment option (Health Future may align price if GPO rate is lower).
-7. Insurance Requirements:
-   - Commercial General & Professional Liability: $1M per occurrence / $3M aggregate.
-   - Cyber/Data Breach Liability: Minimum $10,000,000 per occurrence.
-   - Tail Coverage: 7 years required if policy is claims-made.
-8. Product Discontinuance: Minimum 90 days advance notice required.
-9. Governing Law: State of Oregon.
-10. Compliance: Vendor must comply with Safe Harbor regulations regarding discounts/rebates.
-`;
+// Health Future Gold Standard terms, based on the uploaded template. Playbooks for each contract
+// type are assembled from this library; reviewers edit them in-app and every save is stored as a
+// new version.
+const STANDARD_TERM_LIBRARY = {
+  'payment-terms': {
+    id: 'payment-terms',
+    category: 'Payment Terms',
+    requirement: 'Net 30 days from delivery and receipt of undisputed invoice.',
+    checklist: 'Payment: Net 30',
+    severity: 'high',
+    rationale: 'Shorter terms strain cash flow and remove time to dispute incorrect invoices.',
+    standardLanguage: 'Payment. Health Future shall pay each undisputed invoice within thirty (30) days after the later of delivery of the Products and receipt of a correct invoice.',
+    rule: { id: 'payment-terms', value: 30 },
+  },
+  'shipping-fob': {
+    id: 'shipping-fob',
+    category: 'Shipping',
+    requirement: 'FOB Destination (Vendor pays freight & insurance).',
+    checklist: 'FOB: Destination',
+    severity: 'critical',
+    rationale: 'Title and risk of loss must stay with the vendor until goods arrive at our dock.',
+    standardLanguage: 'Shipping. All Products are shipped FOB Destination. Vendor bears all freight and insurance costs, and title and risk of loss pass to Health Future only upon delivery to the designated Health Future facility.',
+    rule: { id: 'fob-origin' },
+    targets: { fobPoint: 'destination' },
+  },
+  'handling-fees': {
+    id: 'handling-fees',
+    category: 'Shipping',
+    requirement: 'No "Handling" or "Shipping & Handling" fees permitted.',
+    checklist: 'No handling fees',
+    severity: 'critical',
+    rationale: 'Handling fees are a common way to reintroduce freight cost after FOB Destination is agreed.',
+    standardLanguage: 'Fees. Vendor shall not charge any handling, shipping and handling, fuel, restocking or similar fees in addition to the prices set out in this Agreement.',
+    rule: { id: 'handling-fees' },
+  },
+  'termination-convenience': {
+    id: 'termination-convenience',
+    category: 'Termination',
+    requirement: 'For Convenience: 90 days prior written notice.',
+    checklist: 'Term: 90 days convenience',
+    severity: 'medium',
+    rationale: 'Lets us exit a supplier relationship without having to prove cause.',
+    standardLanguage: 'Termination for Convenience. Health Future may terminate this Agreement for any reason upon ninety (90) days prior written notice to Vendor.',
+    targets: { terminationNoticeDays: 90 },
+  },
+  'termination-cause': {
+    id: 'termination-cause',
+    category: 'Termination',
+    requirement: 'For Cause: 30 days cure period.',
+    checklist: '',
+    severity: 'medium',
+    rationale: 'A longer cure period leaves us exposed to a non-performing vendor.',
+    standardLanguage: 'Termination for Cause. Either party may terminate this Agreement if the other party materially breaches it and fails to cure the breach within thirty (30) days after receiving written notice.',
+    targets: { curePeriodDays: 30 },
+  },
+  'termination-immediate': {
+    id: 'termination-immediate',
+    category: 'Termination',
+    requirement: 'Immediate: For insurance failure, excluded provider status (OIG), or confidentiality breach.',
+    checklist: '',
+    severity: 'high',
+    rationale: 'Doing business with an OIG-excluded party puts federal program reimbursement at risk.',
+    standardLanguage: 'Immediate Termination. Health Future may terminate this Agreement immediately upon written notice if Vendor fails to maintain the required insurance, is excluded from any federal healthcare program by the OIG, or breaches its confidentiality obligations.',
+  },
+  'auto-renewal': {
+    id: 'auto-renewal',
+    category: 'Renewal',
+    requirement: 'No automatic renewal without advance written notice and an opt-out window.',
+    checklist: '',
+    severity: 'high',
+    rationale: 'Silent renewals lock in pricing and terms we never had the chance to renegotiate.',
+    standardLanguage: 'Renewal. This Agreement does not renew automatically. Any renewal requires a written amendment signed by both parties, and Vendor shall notify Health Future in writing at least ninety (90) days before the end of the Term.',
+    rule: { id: 'auto-renewal' },
+    targets: { renewalType: 'automatic' },
+  },
+  indemnification: {
+    id: 'indemnification',
+    category: 'Indemnification',
+    requirement: 'Mutual indemnification for breach, violation of law, negligence, or willful misconduct.',
+    checklist: '',
+    severity: 'high',
+    rationale: 'One-sided indemnities shift the vendor\'s own liability onto Health Future.',
+    standardLanguage: 'Indemnification. Each party shall indemnify, defend and hold harmless the other party from claims arising out of its breach of this Agreement, violation of law, negligence or willful misconduct.',
+  },
+  warranty: {
+    id: 'warranty',
+    category: 'Warranty',
+    requirement: 'Products must be free from defects, fit for purpose, and meet industry standards.',
+    checklist: '',
+    severity: 'medium',
+    rationale: 'Clinical use requires products that perform as specified.',
+    standardLanguage: 'Warranty. Vendor warrants that all Products are free from defects in material and workmanship, are fit for their intended purpose, and conform to applicable industry standards and specifications.',
+  },
+  pricing: {
+    id: 'pricing',
+    category: 'Pricing',
+    requirement: 'Fixed/Firm for the entire Term. Includes GPO alignment option (Health Future may align price if GPO rate is lower).',
+    checklist: '',
+    severity: 'medium',
+    rationale: 'Price increases mid-term break budget forecasts; GPO alignment keeps us at market rate.',
+    standardLanguage: 'Pricing. Prices are firm for the entire Term. If Health Future has access to a lower price for the same Product through its GPO, Vendor shall align its price to the GPO price.',
+  },
+  'insurance-general': {
+    id: 'insurance-general',
+    category: 'Insurance Requirements',
+    requirement: 'Commercial General & Professional Liability: $1M per occurrence / $3M aggregate.',
+    checklist: '',
+    severity: 'high',
+    rationale: 'Baseline coverage for bodily injury and professional errors.',
+    standardLanguage: 'Insurance. Vendor shall maintain commercial general liability and professional liability insurance with limits of at least $1,000,000 per occurrence and $3,000,000 in the aggregate.',
+    targets: { generalLiabilityPerOccurrence: 1000000, generalLiabilityAggregate: 3000000 },
+  },
+  'insurance-cyber': {
+    id: 'insurance-cyber',
+    category: 'Insurance Requirements',
+    requirement: 'Cyber/Data Breach Liability: Minimum $10,000,000 per occurrence.',
+    checklist: 'Cyber Ins: $10M Limit',
+    severity: 'critical',
+    rationale: 'A single breach involving connected devices or our data can easily exceed lower limits.',
+    standardLanguage: 'Cyber Insurance. Vendor shall maintain cyber/data breach liability insurance with limits of at least $10,000,000 per occurrence.',
+    rule: { id: 'cyber-limit', value: 10000000 },
+  },
+  'insurance-tail': {
+    id: 'insurance-tail',
+    category: 'Insurance Requirements',
+    requirement: 'Tail Coverage: 7 years required if policy is claims-made.',
+    checklist: '',
+    severity: 'medium',
+    rationale: 'Claims-made policies stop responding once cancelled unless tail coverage is in place.',
+    standardLanguage: 'Tail Coverage. If any required policy is written on a claims-made basis, Vendor shall maintain tail coverage for at least seven (7) years after termination or expiration of this Agreement.',
+    targets: { tailCoverageYears: 7 },
+  },
+  discontinuance: {
+    id: 'discontinuance',
+    category: 'Product Discontinuance',
+    requirement: 'Minimum 90 days advance notice required.',
+    checklist: '',
+    severity: 'medium',
+    rationale: 'We need time to qualify a replacement product before supply stops.',
+    standardLanguage: 'Discontinuance. Vendor shall give Health Future at least ninety (90) days advance written notice before discontinuing any Product.',
+    targets: { discontinuanceNoticeDays: 90 },
+  },
+  'governing-law': {
+    id: 'governing-law',
+    category: 'Governing Law',
+    requirement: 'State of Oregon.',
+    checklist: 'Gov Law: Oregon',
+    severity: 'critical',
+    rationale: 'Disputes must be heard in our home jurisdiction.',
+    standardLanguage: 'Governing Law. This Agreement is governed by the laws of the State of Oregon, without regard to its conflict of laws principles.',
+    rule: { id: 'governing-law', value: 'Oregon' },
+  },
+  compliance: {
+    id: 'compliance',
+    category: 'Compliance',
+    requirement: 'Vendor must comply with Safe Harbor regulations regarding discounts/rebates.',
+    checklist: '',
+    severity: 'medium',
+    rationale: 'Discounts outside the Anti-Kickback Safe Harbor create regulatory exposure.',
+    standardLanguage: 'Discounts. Vendor shall structure and disclose all discounts and rebates so that they comply with the discount safe harbor of the federal Anti-Kickback Statute (42 C.F.R. 1001.952(h)).',
+
+  },
+  'service-warranty': {
+    id: 'service-warranty',
+    category: 'Warranty',
+    requirement: 'Services performed in a professional and workmanlike manner by qualified personnel; non-conforming services re-performed at no cost.',
+    checklist: 'Warranty: re-performance',
+    severity: 'medium',
+    rationale: 'Gives us a remedy for defective services without having to terminate.',
+    standardLanguage: 'Services Warranty. Vendor warrants that the Services will be performed in a professional and workmanlike manner by qualified personnel. Vendor shall re-perform any non-conforming Services at no additional cost.',
+  },
+  'personnel-screening': {
+    id: 'personnel-screening',
+    category: 'Personnel',
+    requirement: 'Vendor personnel on site or with system access are background-checked and screened against the OIG exclusion list.',
+    checklist: '',
+    severity: 'high',
+    rationale: 'Excluded individuals may not furnish services paid for by federal healthcare programs.',
+    standardLanguage: 'Personnel. Vendor shall background-check and screen against the OIG List of Excluded Individuals/Entities all personnel who work on site at Health Future or have access to its systems.',
+  },
+  'acceptance-testing': {
+    id: 'acceptance-testing',
+    category: 'Acceptance',
+    requirement: 'Final payment (minimum 10%) is withheld until installation and acceptance testing are completed and signed off by Health Future.',
+    checklist: 'Payment tied to acceptance',
+    severity: 'high',
+    rationale: 'Paying in full on shipment removes leverage to get equipment installed and working.',
+    standardLanguage: 'Acceptance. Ten percent (10%) of the purchase price shall be withheld until installation and acceptance testing are complete and Health Future has signed off on acceptance in writing.',
+  },
+  'equipment-warranty': {
+    id: 'equipment-warranty',
+    category: 'Warranty',
+    requirement: 'Minimum 12 months parts and labor from the date of acceptance, with guaranteed uptime of 95% or better.',
+    checklist: 'Warranty: 12 months from acceptance',
+    severity: 'high',
+    rationale: 'Warranty periods that start at shipment can expire before the equipment is in clinical use.',
+    standardLanguage: 'Equipment Warranty. Vendor warrants the Equipment for parts and labor for twelve (12) months from the date of acceptance and guarantees uptime of at least ninety-five percent (95%) during the warranty period.',
+  },
+  'parts-availability': {
+    id: 'parts-availability',
+    category: 'Service & Parts',
+    requirement: 'Replacement parts and service support available for at least 7 years after acceptance.',
+    checklist: '',
+    severity: 'medium',
+    rationale: 'Capital equipment is depreciated over years and must remain serviceable.',
+    standardLanguage: 'Parts and Service. Vendor shall make replacement parts and service support available for at least seven (7) years after acceptance.',
+  },
+  'gpo-pricing-tier': {
+    id: 'gpo-pricing-tier',
+    category: 'Pricing',
+    requirement: 'Health Future is placed on the lowest available price tier, effective on the date of participation.',
+    checklist: 'Pricing: lowest tier',
+    severity: 'high',
+    rationale: 'A letter of participation is only worth signing if it unlocks the best GPO pricing.',
+    standardLanguage: 'Price Tier. Health Future shall be placed on the lowest available price tier under the GPO agreement, effective on the date of this Letter of Participation.',
+  },
+  'gpo-commitment': {
+    id: 'gpo-commitment',
+    category: 'Commitment',
+    requirement: 'No minimum purchase commitments, shortfall penalties or retroactive price adjustments.',
+    checklist: 'No volume penalties',
+    severity: 'critical',
+    rationale: 'Shortfall penalties turn a pricing agreement into a purchase obligation.',
+    standardLanguage: 'No Commitment. Health Future has no minimum purchase commitment, and no shortfall penalties or retroactive price adjustments apply.',
+  },
+  'gpo-withdrawal': {
+    id: 'gpo-withdrawal',
+    category: 'Termination',
+    requirement: 'Health Future may withdraw its participation with 90 days prior written notice.',
+    checklist: 'Withdrawal: 90 days',
+    severity: 'medium',
+    rationale: 'We must be able to move to a better contract without waiting for the GPO term to end.',
+    standardLanguage: 'Withdrawal. Health Future may withdraw its participation upon ninety (90) days prior written notice.',
+  },
+  'gpo-admin-fees': {
+    id: 'gpo-admin-fees',
+    category: 'Compliance',
+    requirement: 'Administrative fees paid to the GPO are disclosed in writing and meet the GPO Safe Harbor (42 CFR 1001.952(j)).',
+    checklist: '',
+    severity: 'high',
+    rationale: 'Undisclosed admin fees are an Anti-Kickback Statute risk.',
+    standardLanguage: 'Administrative Fees. All administrative fees paid to the GPO shall be disclosed to Health Future in writing and shall comply with the GPO safe harbor at 42 C.F.R. 1001.952(j).',
+  },
+  'baa-breach-notice': {
+    id: 'baa-breach-notice',
+    category: 'Breach Notification',
+    requirement: 'Business Associate reports any breach of unsecured PHI or security incident within 5 business days of discovery.',
+    checklist: 'Breach notice: 5 business days',
+    severity: 'critical',
+    rationale: 'We need time to meet our own 60-day HIPAA notification deadline.',
+    standardLanguage: 'Breach Notification. Business Associate shall report to Health Future any breach of unsecured PHI or security incident within five (5) business days after discovery.',
+  },
+  'baa-subcontractors': {
+    id: 'baa-subcontractors',
+    category: 'Subcontractors',
+    requirement: 'Subcontractors that handle PHI sign a BAA with the same restrictions; no offshore storage or access to PHI.',
+    checklist: 'No offshore PHI',
+    severity: 'high',
+    rationale: 'HIPAA obligations must flow down to everyone who touches our patients\' data.',
+    standardLanguage: 'Subcontractors. Business Associate shall ensure that any subcontractor that handles PHI agrees in writing to the same restrictions and conditions. No PHI may be stored or accessed outside the United States.',
+  },
+  'baa-return-destroy': {
+    id: 'baa-return-destroy',
+    category: 'Termination',
+    requirement: 'On termination, all PHI is returned or destroyed within 30 days with written certification.',
+    checklist: 'Return/destroy PHI: 30 days',
+    severity: 'high',
+    rationale: 'PHI retained after the relationship ends is unmanaged risk.',
+    standardLanguage: 'Return or Destruction. Within thirty (30) days after termination, Business Associate shall return or destroy all PHI and certify the destruction in writing.',
+  },
+  'baa-breach-costs': {
+    id: 'baa-breach-costs',
+    category: 'Indemnification',
+    requirement: 'Business Associate indemnifies Health Future and pays notification, credit monitoring and regulatory costs for breaches it causes.',
+    checklist: '',
+    severity: 'critical',
+    rationale: 'Breach response costs routinely exceed the value of the underlying contract.',
+    standardLanguage: 'Breach Costs. Business Associate shall indemnify Health Future for, and pay, all notification, credit monitoring, regulatory and other costs arising from any breach caused by Business Associate or its subcontractors.',
+  },
+};
+
+const termsFrom = (...ids) => ids.map(id => STANDARD_TERM_LIBRARY[id]);
+
+// Contract types we review, each with its own default playbook. The keyword patterns drive the
+// local classifier; matches in the document title count extra.
+const CONTRACT_TYPES = [
+  {
+    id: 'purchase',
+    label: 'Purchase Agreement',
+    keywords: [/purchase agreement|supply agreement|product agreement/gi, /purchase orders?/gi, /unit price|price list/gi, /F\.?O\.?B\.?|shipment|freight/gi],
+    terms: termsFrom('payment-terms', 'shipping-fob', 'handling-fees', 'termination-convenience', 'termination-cause', 'termination-immediate', 'auto-renewal', 'indemnification', 'warranty', 'pricing', 'insurance-general', 'insurance-cyber', 'insurance-tail', 'discontinuance', 'governing-law', 'compliance'),
+  },
+  {
+    id: 'service',
+    label: 'Service Agreement / SOW',
+    keywords: [/services agreement|consulting agreement/gi, /statement of work|\bSOW\b/g, /professional services|consulting services/gi, /hourly rate|time and materials|deliverables/gi],
+    terms: termsFrom('payment-terms', 'termination-convenience', 'termination-cause', 'termination-immediate', 'auto-renewal', 'indemnification', 'service-warranty', 'personnel-screening', 'pricing', 'insurance-general', 'insurance-cyber', 'insurance-tail', 'governing-law', 'compliance'),
+  },
+  {
+    id: 'capital',
+    label: 'Capital Equipment',
+    keywords: [/capital equipment/gi, /installation|site preparation|rigging/gi, /acceptance test/gi, /preventive maintenance|uptime|service contract/gi],
+    terms: termsFrom('payment-terms', 'acceptance-testing', 'shipping-fob', 'handling-fees', 'equipment-warranty', 'parts-availability', 'termination-cause', 'termination-immediate', 'indemnification', 'pricing', 'insurance-general', 'insurance-cyber', 'insurance-tail', 'governing-law', 'compliance'),
+  },
+  {
+    id: 'gpo-lop',
+    label: 'GPO Letter of Participation',
+    keywords: [/letter of (?:participation|commitment)/gi, /group purchasing organization|\bGPO\b/g, /participating (?:member|facility|facilities)/gi, /price tier|tier [1-9ivx]+/gi],
+    terms: termsFrom('gpo-pricing-tier', 'gpo-commitment', 'gpo-withdrawal', 'payment-terms', 'shipping-fob', 'handling-fees', 'gpo-admin-fees', 'compliance'),
+  },
+  {
+    id: 'baa',
+    label: 'Business Associate Agreement',
+    keywords: [/business associate/gi, /protected health information|\bPHI\b/g, /HIPAA|45 C\.?F\.?R\.?/gi, /breach notification|security incident/gi],
+    terms: termsFrom('baa-breach-notice', 'baa-subcontractors', 'baa-return-destroy', 'baa-breach-costs', 'termination-immediate', 'insurance-cyber', 'governing-law'),
+  },
+];
+
+const DEFAULT_CONTRACT_TYPE = 'purchase';
+
+const getContractType = (typeId) => CONTRACT_TYPES.find(type => type.id === typeId) || CONTRACT_TYPES[0];
+
+const defaultPlaybookFor = (type) => ({
+  id: `health-future-${type.id}`,
+  name: `Health Future ${type.label} Standard`,
+  contractType: type.id,
+  version: 1,
+  savedAt: null,
+  terms: type.terms,
+});
+
+// Scores the text against each contract type's keywords. The first 1,500 characters usually hold
+// the title and recitals, so matches there weigh three times as much.
+const classifyContractType = (text) => {
+  const heading = (text || '').slice(0, 1500);
+  const scores = CONTRACT_TYPES.map(type => ({
+    typeId: type.id,
+    score: type.keywords.reduce((total, pattern) =>
+      total + Math.min((text || '').match(pattern)?.length || 0, 10) + 3 * (heading.match(pattern)?.length || 0), 0),
+  })).sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  if (best.score === 0) return { typeId: DEFAULT_CONTRACT_TYPE, confidence: 'low' };
+  return { typeId: best.typeId, confidence: best.score >= 2 * runnerUp.score ? 'high' : 'low' };
+};
+
+const SEVERITY_LEVELS = ['critical', 'high', 'medium', 'low'];
+
+// How the risk score is computed, saved with each playbook version. Every finding costs its
+// term's severity penalty times the term's weight; findings not tied to a term are treated as
+// the severity given for their kind. Scores above `good` show green and above `fair` amber.
+const DEFAULT_SCORING = {
+  severityPenalties: { critical: 25, high: 15, medium: 8, low: 3 },
+  untrackedSeverity: { redFlag: 'high', deviation: 'low' },
+  thresholds: { good: 80, fair: 50 },
+};
+
+// Playbook versions saved before scoring was configurable use the defaults
+const scoringOf = (playbook) => ({ ...DEFAULT_SCORING, ...playbook?.scoring });
+
+const PLAYBOOK_STORAGE_KEY = 'supplychainguard.playbooks';
+const LEGACY_PLAYBOOK_STORAGE_KEY = 'supplychainguard.playbook.versions';
+
+// Returns every saved playbook version per contract type, oldest first. Types that were never
+// edited fall back to their built-in default. Versions saved before playbooks were split by
+// contract type belong to purchase agreements.
+const loadPlaybookVersions = () => {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(PLAYBOOK_STORAGE_KEY)) || {};
+    const legacy = JSON.parse(localStorage.getItem(LEGACY_PLAYBOOK_STORAGE_KEY));
+    if (!stored.purchase && Array.isArray(legacy) && legacy.length > 0) {
+      stored.purchase = legacy.map(version => ({ ...defaultPlaybookFor(getContractType('purchase')), ...version }));
+    }
+  } catch (error) {
+    console.error("Failed to load playbooks:", error);
+  }
+  return Object.fromEntries(CONTRACT_TYPES.map(type => [
+    type.id,
+    Array.isArray(stored[type.id]) && stored[type.id].length > 0 ? stored[type.id] : [defaultPlaybookFor(type)],
+  ]));
+};
+
+// Appends a new version of one contract type's playbook and returns the updated map. Older
+// versions are never overwritten so past analyses can always be traced back to the terms they
+// were reviewed against.
+const savePlaybookVersion = (allVersions, typeId, terms, scoring) => {
+  const versions = allVersions[typeId];
+  const latest = versions[versions.length - 1];
+  const next = { ...latest, terms, scoring, version: latest.version + 1, savedAt: new Date().toISOString() };
+  const updated = { ...allVersions, [typeId]: [...versions, next] };
+  localStorage.setItem(PLAYBOOK_STORAGE_KEY, JSON.stringify(updated));
+  return updated;
+};
+
+// Health Future's standard clause text for a term. Playbook versions saved before terms carried
+// their own language fall back to the built-in library.
+const standardLanguageFor = (term) => term?.standardLanguage || STANDARD_TERM_LIBRARY[term?.id]?.standardLanguage || '';
+
+// The deal facts extracted from every contract as a typed record. Fields tied to a playbook term
+// are checked against that term's target: 'min' and 'max' are numeric limits, 'equals' must match
+// exactly, 'contains' is a case-insensitive text match and 'notEquals' names the value that fails.
+const KEY_TERM_FIELDS = [
+  { id: 'parties', label: 'Parties', type: 'text', hint: 'string, the contracting parties separated by "; "' },
+  { id: 'effectiveDate', label: 'Effective date', type: 'date', hint: 'string, YYYY-MM-DD' },
+  { id: 'termMonths', label: 'Initial term (months)', type: 'number', hint: 'number of months' },
+  { id: 'priceLockMonths', label: 'Price lock (months)', type: 'number', hint: 'number of months from the effective date that prices are fixed; the initial term if prices are firm for the Term' },
+  { id: 'renewalType', label: 'Renewal', type: 'enum', options: ['none', 'mutual', 'automatic'], hint: '"none", "mutual" (only by written agreement) or "automatic"', termId: 'auto-renewal', compare: 'notEquals' },
+  { id: 'terminationNoticeDays', label: 'Termination for convenience notice (days)', type: 'number', hint: 'number of days notice Health Future must give to terminate for convenience', termId: 'termination-convenience', compare: 'max' },
+  { id: 'curePeriodDays', label: 'Cure period (days)', type: 'number', hint: 'number of days allowed to cure a material breach', termId: 'termination-cause', compare: 'max' },
+  { id: 'paymentDays', label: 'Payment terms (days)', type: 'number', hint: 'number of days, e.g. 30 for Net 30', termId: 'payment-terms', compare: 'min' },
+  { id: 'fobPoint', label: 'FOB point', type: 'enum', options: ['destination', 'origin'], hint: '"destination" or "origin"', termId: 'shipping-fob', compare: 'equals' },
+  { id: 'generalLiabilityPerOccurrence', label: 'General liability per occurrence', type: 'money', hint: 'number, US dollars', termId: 'insurance-general', compare: 'min' },
+  { id: 'generalLiabilityAggregate', label: 'General liability aggregate', type: 'money', hint: 'number, US dollars', termId: 'insurance-general', compare: 'min' },
+  { id: 'cyberLiability', label: 'Cyber liability per occurrence', type: 'money', hint: 'number, US dollars', termId: 'insurance-cyber', compare: 'min' },
+  { id: 'tailCoverageYears', label: 'Tail coverage (years)', type: 'number', hint: 'number of years', termId: 'insurance-tail', compare: 'min' },
+  { id: 'discontinuanceNoticeDays', label: 'Discontinuance notice (days)', type: 'number', hint: 'number of days notice before a product is discontinued', termId: 'discontinuance', compare: 'min' },
+  { id: 'governingLaw', label: 'Governing law', type: 'text', hint: 'string, the state or jurisdiction', termId: 'governing-law', compare: 'contains' },
+];
+
+// Key-term targets of a playbook term. Versions saved before terms carried targets fall back to
+// the built-in library.
+const targetsOf = (term) => term.targets || STANDARD_TERM_LIBRARY[term.id]?.targets || {};
+
+// The playbook's target for a key-term field; terms with a single rule threshold use that
+const keyTermTarget = (playbook, field) => {
+  const term = playbook.terms.find(t => t.id === field.termId);
+  if (!term) return undefined;
+  return targetsOf(term)[field.id] ?? term.rule?.value;
+};
+
+// Fields that apply to a playbook: those without a term, and those whose term it contains
+const keyTermFieldsFor = (playbook) => KEY_TERM_FIELDS.filter(field => !field.termId || playbook.terms.some(t => t.id === field.termId));
+
+const toIsoDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Coerces a raw value to the field's type. Returns null for empty values and undefined for
+// values that can't be read as that type.
+const normalizeKeyTerm = (field, raw) => {
+  if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+  const text = String(raw).trim();
+  switch (field.type) {
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : parseFloat(text.replace(/,/g, ''));
+      return Number.isFinite(value) ? value : undefined;
+    }
+    case 'money':
+      return typeof raw === 'number' ? raw : parseDollarAmount(text.startsWith('$') ? text : `$${text}`) ?? undefined;
+    case 'date': {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+      const date = new Date(text);
+      return Number.isNaN(date.getTime()) ? undefined : toIsoDate(date);
+    }
+    case 'enum':
+      return field.options.includes(text.toLowerCase()) ? text.toLowerCase() : undefined;
+    default:
+      return text;
+  }
+};
+
+const formatKeyTerm = (field, value) => {
+  if (value === null || value === undefined) return '—';
+  if (field.type === 'money') return formatDollars(value);
+  if (field.type === 'enum') return value.charAt(0).toUpperCase() + value.slice(1);
+  return String(value);
+};
+
+const formatKeyTermTarget = (field, target) => {
+  if (target === null || target === undefined) return '—';
+  const formatted = formatKeyTerm(field, target);
+  switch (field.compare) {
+    case 'min': return `At least ${formatted}`;
+    case 'max': return `At most ${formatted}`;
+    case 'notEquals': return `Not ${formatted.toLowerCase()}`;
+    default: return formatted;
+  }
+};
+
+// 'pass' or 'fail' against the target, or null when there is nothing to compare
+const compareKeyTerm = (field, value, target) => {
+  if (!field.compare || target === null || target === undefined || value === null || value === undefined) return null;
+  const same = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+  switch (field.compare) {
+    case 'min': return Number(value) >= Number(target) ? 'pass' : 'fail';
+    case 'max': return Number(value) <= Number(target) ? 'pass' : 'fail';
+    case 'equals': return same(value, target) ? 'pass' : 'fail';
+    case 'notEquals': return same(value, target) ? 'fail' : 'pass';
+    case 'contains': return String(value).toLowerCase().includes(String(target).toLowerCase()) ? 'pass' : 'fail';
+    default: return null;
+  }
+};
+
+// The key terms of an analysis with the reviewer's edits applied
+const keyTermValues = (analysis, edits = {}) => ({ ...analysis.keyTerms, ...edits });
 
-// System instruction to guide Gemini's persona
-const SYSTEM_PROMPT = `
+// The key terms of an analysis with the reviewer's edits applied, compared against the playbook
+const keyTermResults = (analysis, edits = {}, playbook) => keyTermFieldsFor(playbook).map(field => {
+  const edited = Object.prototype.hasOwnProperty.call(edits, field.id);
+  const value = edited ? edits[field.id] : analysis.keyTerms?.[field.id] ?? null;
+  const target = keyTermTarget(playbook, field);
+  return { field, value, target, edited, status: compareKeyTerm(field, value, target) };
+});
+
+// Renders the playbook as the numbered STANDARD TERMS block used in the analysis prompt.
+const buildStandardTerms = (playbook) => {
+  const categories = [...new Set(playbook.terms.map(term => term.category))];
+  return categories.map((category, idx) => {
+    const terms = playbook.terms.filter(term => term.category === category);
+    if (terms.length === 1) return `${idx + 1}. ${category} [${terms[0].id}]: ${terms[0].requirement}`;
+    return `${idx + 1}. ${category}:\n${terms.map(term => `   - [${term.id}] ${term.requirement}`).join('\n')}`;
+  }).join('\n');
+};
+
+// System instruction to guide Gemini's persona. The red-flag tiers come from term severities.
+const buildSystemPrompt = (playbook) => {
+  const bySeverity = (severity) => playbook.terms
+    .filter(term => term.severity === severity)
+    .map(term => `${term.category} (${term.requirement})`)
+    .join('; ') || 'None';
+
+  return `
 You are an expert Healthcare Supply Chain Legal Analyst for "Health Future". 
-Your job is to review vendor contracts against a defined set of "Standard Terms" (Health Future Gold Standard).
+Your job is to review vendor contracts against a defined set of "Standard Terms" (${playbook.name}).
 You must ignore patient privacy/HIPAA concerns unless they violate the specific BAA/Confidentiality terms (though PHI is generally not expected).
 
 Your analysis should focus on:
 1. **Inconsistencies:** Where does the uploaded contract differ from the Health Future Standard Terms?
 2. **Risk Assessment:** Highlight "Red Flags". 
-   - CRITICAL RED FLAGS: Any Cyber Liability limit under $10M, FOB Origin, Missing "No Handling Fees" clause, or Governing Law other than Oregon.
-   - GENERAL RED FLAGS: Auto-renewals without notice, payment terms < Net 30.
+   - CRITICAL RED FLAGS: Any deviation from: ${bySeverity('critical')}.
+   - GENERAL RED FLAGS: Any deviation from: ${bySeverity('high')}.
 3. **Summary:** A concise summary of the deal.
 
 Structure your initial response in JSON format (without markdown code blocks) with the following keys: 
-"summary" (string), "inconsistencies" (array of strings), "redFlags" (array of strings), "overallScore" (number 1-100).
+"summary" (string), "inconsistencies" (array of findings), "redFlags" (array of findings), "overallScore" (number 1-100), "keyTerms" (object).
+Each finding is an object with the keys:
+"finding" (string, the issue in one or two sentences),
+"quote" (string, the exact contract text the finding is based on, copied verbatim, max 40 words; empty string if the issue is a missing clause),
+"page" (number, the page the quote appears on; null if not applicable),
+"section" (string, the section number and heading the quote appears under, e.g. "7.2 Insurance"),
+"termId" (string, the [id] of the standard term the finding deviates from; null if none applies),
+"severity" (string, one of ${SEVERITY_LEVELS.map(level => `"${level}"`).join(', ')}; use the standard term's severity when termId is set),
+"category" (string, the category of the standard term: one of ${[...new Set(playbook.terms.map(term => term.category))].map(category => `"${category}"`).join(', ')}, or "Other"),
+"contractPosition" (string, what the contract provides in a few words, e.g. "Net 60 from invoice"; empty string if the clause is missing),
+"standardPosition" (string, what the Health Future standard requires in a few words).
+"keyTerms" holds the deal facts as stated in the contract, with null for anything it does not state:
+${KEY_TERM_FIELDS.map(field => `"${field.id}" (${field.hint})`).join(',\n')}.
 After the initial JSON analysis, answer subsequent user questions normally in plain text.
+Back every statement about the contract with a citation placed right after it: the exact contract text it relies on, copied verbatim (8 to 40 words) and wrapped in double square brackets, e.g. [[Vendor shall maintain cyber liability insurance of $5,000,000]].
+If the contract does not address the question, say so plainly and do not cite anything.
 `;
+};
 
-// --- Components ---
+// First-turn instructions for an analysis. Rule hits are listed so the model doesn't repeat them.
+const buildAnalysisPrompt = (playbook, ruleFindings) => {
+  const ruleNote = ruleFindings.length > 0
+    ? `The following red flags were already detected by deterministic rule checks. Do NOT repeat them in "redFlags":\n${ruleFindings.map(f => `- ${f.text}`).join('\n')}`
+    : '';
+
+  return `
+        Here is the uploaded supply chain contract. 
+        Compare it strictly against these STANDARD TERMS (${playbook.name}, version ${playbook.version}):
+        ${buildStandardTerms(playbook)}
+        ${ruleNote}
+        
+        Provide the analysis in the requested JSON format.
+      `;
+};
+
+// Number of contracts analyzed at the same time when reviewing a batch
+const MAX_CONCURRENT_ANALYSES = 2;
+
+// Supported uploads, recognized by extension or MIME type. Emails are unpacked to the contract
+// they carry; images and scanned PDFs are read with OCR.
+const UPLOAD_FORMATS = [
+  { kind: 'pdf', extensions: ['pdf'], mimeType: 'application/pdf' },
+  { kind: 'docx', extensions: ['docx'], mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  { kind: 'text', extensions: ['txt'], mimeType: 'text/plain' },
+  { kind: 'image', extensions: ['png', 'jpg', 'jpeg', 'webp', 'bmp'], mimeType: null },
+  { kind: 'email', extensions: ['eml', 'msg'], mimeType: 'message/rfc822' },
+];
+
+const UPLOAD_ACCEPT = UPLOAD_FORMATS.flatMap(format => format.extensions.map(ext => `.${ext}`)).join(',');
+
+const fileExtension = (filename) => (filename.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+
+const uploadFormatOf = (file) => UPLOAD_FORMATS.find(format => (
+  format.extensions.includes(fileExtension(file.name)) || (format.mimeType && format.mimeType === file.type)
+)) || null;
+
+// Context that travels with the document: the vendor's cover note and any tracked changes or
+// comments in a Word file. Empty when there is none.
+const describeUploadContext = (doc, coverNote) => {
+  const clip = (text, length = 300) => (text.length > length ? `${text.slice(0, length)}...` : text);
+  const sections = [];
+  if (coverNote) {
+    sections.push(`VENDOR COVER NOTE (email from ${coverNote.from || 'unknown sender'}, subject "${coverNote.subject}"):\n${clip(coverNote.body, 4000)}`);
+  }
+  if (doc.revisions?.length > 0) {
+    sections.push(`TRACKED CHANGES in the Word document. The contract text reads as if all of them were accepted:\n${
+      doc.revisions.map(r => `- ${r.type === 'insertion' ? 'Inserted' : 'Deleted'} by ${r.author || 'unknown'}: "${clip(r.text)}"`).join('\n')
+    }`);
+  }
+  if (doc.comments?.length > 0) {
+    sections.push(`COMMENTS in the Word document:\n${
+      doc.comments.map(c => `- ${c.author || 'unknown'}${c.anchor ? ` on "${clip(c.anchor, 120)}"` : ''}: ${clip(c.text)}`).join('\n')
+    }`);
+  }
+  return sections.join('\n\n');
+};
+
+// --- LLM Providers ---
+// Every provider implements the same stateless call: complete(settings, { system, messages, schema,
+// signal, onToken }) streams the reply, calling onToken with the text received so far, and resolves
+// with the full text. Messages use a neutral format, { role: 'user' | 'assistant', parts }, where a
+// part is either { text } or { document }. Providers that can't read PDFs receive the extracted
+// contract text instead. Passing a schema asks for JSON output where the provider supports it, and
+// aborting the signal stops the request mid-stream.
+
+const PROVIDER_SETTINGS_KEY = 'supplychainguard.provider';
+const API_KEY_STORAGE_KEY = 'supplychainguard.apiKey';
+
+const readFileBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onloadend = () => resolve(reader.result.split(',')[1]);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+// The contract as a message part: its extracted text, plus the original file for PDFs and text
+// files, which providers can read natively. Redacted contracts are only ever sent as redacted text.
+const documentPart = async (file, doc, redact = false) => {
+  const format = uploadFormatOf(file);
+  const native = !redact && (format?.kind === 'pdf' || format?.kind === 'text');
+  return {
+    document: {
+      name: file.name,
+      mimeType: native ? format.mimeType : null,
+      data: native ? await readFileBase64(file) : null,
+      text: redact ? redactPhi(doc.text) : doc.text,
+    },
+  };
+};
+
+// The opening turn of every conversation about a contract: the document, any upload context,
+// then the analysis prompt. Refuses to build it while possible patient data is unresolved.
+const buildFirstTurn = async ({ file, doc, coverNote, phiScan }, prompt) => {
+  if (!phiCleared({ phiScan })) throw new Error('Possible patient data was found. Redact it before the contract is sent for analysis.');
+  const redact = phiScan?.matches.length > 0;
+  const context = redact ? redactPhi(describeUploadContext(doc, coverNote)) : describeUploadContext(doc, coverNote);
+  return {
+    role: 'user',
+    parts: [await documentPart(file, doc, redact), ...(context ? [{ text: context }] : []), { text: prompt }],
+  };
+};
+
+const partAsText = (part) => (part.document
+  ? `CONTRACT (${part.document.name}):\n${part.document.text}`
+  : part.text);
+
+const messageText = (message) => message.parts.map(partAsText).join('\n\n');
+
+const trimEndpoint = (endpoint) => endpoint.replace(/\/+$/, '');
+
+const postStream = async (url, headers, body, signal) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok) {
+    throw new Error(`Request to ${url} failed (${response.status}): ${(await response.text()).slice(0, 300)}`);
+  }
+  return response;
+};
+
+// Read a streamed response body line by line (server-sent events and NDJSON are both line based)
+const readLines = async (response, onLine) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  let done = false;
+  while (!done) {
+    const chunk = await reader.read();
+    done = chunk.done;
+    buffered += decoder.decode(chunk.value, { stream: !done });
+    const lines = buffered.split('\n');
+    buffered = done ? '' : lines.pop();
+    lines.map(line => line.trim()).filter(Boolean).forEach(onLine);
+  }
+};
+
+// Server-sent events: only the JSON payloads of "data:" lines matter here
+const readEvents = (response, onEvent) => readLines(response, line => {
+  if (!line.startsWith('data:')) return;
+  const payload = line.slice(5).trim();
+  if (payload !== '[DONE]') onEvent(JSON.parse(payload));
+});
+
+const completeWithGemini = async (settings, { system, messages, schema, signal, onToken }) => {
+  const model = new GoogleGenerativeAI(settings.apiKey).getGenerativeModel({ model: settings.model, systemInstruction: system });
+  const result = await model.generateContentStream({
+    contents: messages.map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: message.parts.map(part => (part.document?.data
+        ? { inlineData: { data: part.document.data, mimeType: part.document.mimeType } }
+        : { text: partAsText(part) })),
+    })),
+    ...(schema ? { generationConfig: { responseMimeType: 'application/json', responseSchema: schema } } : {}),
+  }, { signal });
+  let text = '';
+  for await (const chunk of result.stream) {
+    text += chunk.text();
+    onToken?.(text);
+  }
+  return text;
+};
+
+const completeWithOpenAI = async (settings, { system, messages, schema, signal, onToken }) => {
+  const response = await postStream(
+    `${trimEndpoint(settings.endpoint)}/chat/completions`,
+    settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {},
+    {
+      model: settings.model,
+      stream: true,
+      messages: [{ role: 'system', content: system }, ...messages.map(message => ({ role: message.role, content: messageText(message) }))],
+      ...(schema ? { response_format: { type: 'json_object' } } : {}),
+    },
+    signal,
+  );
+  let text = '';
+  await readEvents(response, event => {
+    const delta = event.choices?.[0]?.delta?.content;
+    if (!delta) return;
+    text += delta;
+    onToken?.(text);
+  });
+  return text;
+};
+
+const completeWithAnthropic = async (settings, { system, messages, signal, onToken }) => {
+  const response = await postStream(
+    `${trimEndpoint(settings.endpoint)}/v1/messages`,
+    {
+      'x-api-key': settings.apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true',
+    },
+    {
+      model: settings.model,
+      max_tokens: 8192,
+      stream: true,
+      system,
+      messages: messages.map(message => ({
+        role: message.role,
+        content: message.parts.map(part => (part.document?.mimeType === 'application/pdf'
+          ? { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: part.document.data } }
+          : { type: 'text', text: partAsText(part) })),
+      })),
+    },
+    signal,
+  );
+  let text = '';
+  await readEvents(response, event => {
+    if (event.type === 'error') throw new Error(event.error?.message || 'Anthropic stream error');
+    if (event.type !== 'content_block_delta' || event.delta?.type !== 'text_delta') return;
+    text += event.delta.text;
+    onToken?.(text);
+  });
+  return text;
+};
+
+const completeWithOllama = async (settings, { system, messages, schema, signal, onToken }) => {
+  const response = await postStream(`${trimEndpoint(settings.endpoint)}/api/chat`, {}, {
+    model: settings.model,
+    stream: true,
+    messages: [{ role: 'system', content: system }, ...messages.map(message => ({ role: message.role, content: messageText(message) }))],
+    ...(schema ? { format: 'json' } : {}),
+  }, signal);
+  let text = '';
+  await readLines(response, line => {
+    const data = JSON.parse(line);
+    if (data.error) throw new Error(data.error);
+    if (!data.message?.content) return;
+    text += data.message.content;
+    onToken?.(text);
+  });
+  return text;
+};
+
+// The organization's model proxy (proxy/server.mjs), which holds the provider key so it never
+// reaches the browser. Reviewers authenticate with their own access token, and the proxy streams
+// the reply back as NDJSON text chunks.
+const completeWithProxy = async (settings, { system, messages, schema, signal, onToken }) => {
+  const response = await postStream(
+    `${trimEndpoint(settings.endpoint)}/v1/complete`,
+    settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {},
+    { model: settings.model, system, messages, schema },
+    signal,
+  );
+  let text = '';
+  await readLines(response, line => {
+    const data = JSON.parse(line);
+    if (data.error) throw new Error(data.error);
+    text += data.text;
+    onToken?.(text);
+  });
+  return text;
+};
+
+// Canned responses for trying out the app without network access. The analysis quotes the start
+// of the contract so citations and highlights can be exercised too. Replies are streamed word by
+// word like a real model.
+const completeWithMock = async (settings, { messages, schema, signal, onToken }) => {
+  let reply = `(Mock reply) You asked: "${messageText(messages[messages.length - 1])}"`;
+  if (schema) {
+    const contractText = messages[0].parts.find(part => part.document)?.document.text || '';
+    const quote = contractText.trim().split(/\s+/).slice(0, 12).join(' ');
+    reply = JSON.stringify({
+      summary: `Mock analysis of a ${contractText.length.toLocaleString()}-character contract. No model was called.`,
+      overallScore: 75,
+      redFlags: [],
+      keyTerms: Object.fromEntries(KEY_TERM_FIELDS.map(field => [field.id, null])),
+      inconsistencies: quote
+        ? [{
+          finding: 'Mock deviation for testing the report, viewer and exports.',
+          quote,
+          page: 1,
+          section: '',
+          termId: null,
+          severity: 'low',
+          category: 'Other',
+          contractPosition: '',
+          standardPosition: '',
+        }]
+        : [],
+    }, null, 2);
+  }
+
+  let text = '';
+  for (const token of reply.match(/\S+\s*/g) || []) {
+    await new Promise(resolve => setTimeout(resolve, 30));
+    signal?.throwIfAborted();
+    text += token;
+    onToken?.(text);
+  }
+  return text;
+};
+
+const LLM_PROVIDERS = [
+  {
+    id: 'gemini',
+    label: 'Google Gemini',
+    defaultModel: 'gemini-2.5-flash',
+    defaultEndpoint: null,
+    usesKey: true,
+    keyRequired: true,
+    readsPdf: true,
+    complete: completeWithGemini,
+  },
+  {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    defaultModel: 'gpt-4o-mini',
+    defaultEndpoint: 'https://api.openai.com/v1',
+    usesKey: true,
+    keyRequired: false,
+    readsPdf: false,
+    complete: completeWithOpenAI,
+  },
+  {
+    id: 'anthropic',
+    label: 'Anthropic',
+    defaultModel: 'claude-sonnet-4-5',
+    defaultEndpoint: 'https://api.anthropic.com',
+    usesKey: true,
+    keyRequired: true,
+    readsPdf: true,
+    complete: completeWithAnthropic,
+  },
+  {
+    id: 'ollama',
+    label: 'Ollama (local)',
+    defaultModel: 'llama3.1',
+    defaultEndpoint: 'http://localhost:11434',
+    usesKey: false,
+    keyRequired: false,
+    readsPdf: false,
+    complete: completeWithOllama,
+  },
+  {
+    id: 'proxy',
+    label: 'Health Future proxy',
+    defaultModel: 'gemini-2.5-flash',
+    defaultEndpoint: 'http://localhost:8787',
+    usesKey: true,
+    keyLabel: 'Access Token',
+    keyRequired: false,
+    readsPdf: true,
+    complete: completeWithProxy,
+  },
+  {
+    id: 'mock',
+    label: 'Mock (offline)',
+    defaultModel: 'mock',
+    defaultEndpoint: null,
+    usesKey: false,
+    keyRequired: false,
+    readsPdf: false,
+    complete: completeWithMock,
+  },
+];
+
+const DEFAULT_PROVIDER = 'gemini';
+
+const getProvider = (id) => LLM_PROVIDERS.find(p => p.id === id) || LLM_PROVIDERS.find(p => p.id === DEFAULT_PROVIDER);
+
+const defaultProviderSettings = (provider) => ({ providerId: provider.id, model: provider.defaultModel, endpoint: provider.defaultEndpoint || '' });
+
+// Provider, model and endpoint are always remembered; the API key only if the reviewer opted in
+const loadProviderSettings = () => {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(PROVIDER_SETTINGS_KEY)) || {};
+  } catch (error) {
+    console.error("Failed to load provider settings:", error);
+  }
+  const provider = getProvider(stored.providerId);
+  return {
+    ...defaultProviderSettings(provider),
+    ...(stored.providerId === provider.id ? { model: stored.model || provider.defaultModel, endpoint: stored.endpoint || provider.defaultEndpoint || '' } : {}),
+    apiKey: localStorage.getItem(API_KEY_STORAGE_KEY) || '',
+  };
+};
+
+const saveProviderSettings = ({ providerId, model, endpoint }) => {
+  localStorage.setItem(PROVIDER_SETTINGS_KEY, JSON.stringify({ providerId, model, endpoint }));
+};
+
+// --- Model Output Validation ---
+// The analysis is requested in JSON mode against a declared schema, then validated locally as well,
+// since the model can still return prose, drop keys or send a score as a string.
+
+const FINDING_RESPONSE_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    finding: { type: SchemaType.STRING },
+    quote: { type: SchemaType.STRING },
+    page: { type: SchemaType.INTEGER, nullable: true },
+    section: { type: SchemaType.STRING },
+    termId: { type: SchemaType.STRING, nullable: true },
+    severity: { type: SchemaType.STRING, format: 'enum', enum: SEVERITY_LEVELS },
+    category: { type: SchemaType.STRING },
+    contractPosition: { type: SchemaType.STRING },
+    standardPosition: { type: SchemaType.STRING },
+  },
+  required: ['finding', 'quote', 'page', 'section', 'termId', 'severity', 'category', 'contractPosition', 'standardPosition'],
+};
+
+const KEY_TERMS_RESPONSE_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: Object.fromEntries(KEY_TERM_FIELDS.map(field => [field.id, {
+    type: field.type === 'number' || field.type === 'money' ? SchemaType.NUMBER : SchemaType.STRING,
+    nullable: true,
+  }])),
+  required: KEY_TERM_FIELDS.map(field => field.id),
+};
+
+const ANALYSIS_RESPONSE_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    summary: { type: SchemaType.STRING },
+    inconsistencies: { type: SchemaType.ARRAY, items: FINDING_RESPONSE_SCHEMA },
+    redFlags: { type: SchemaType.ARRAY, items: FINDING_RESPONSE_SCHEMA },
+    overallScore: { type: SchemaType.NUMBER },
+    keyTerms: KEY_TERMS_RESPONSE_SCHEMA,
+  },
+  required: ['summary', 'inconsistencies', 'redFlags', 'overallScore', 'keyTerms'],
+};
+
+// How many times a malformed analysis is sent back to the model for repair
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Parse the JSON object out of a response, tolerating code fences and stray prose around it
+const parseModelJson = (text) => {
+  const stripped = text.replace(/```json/g, '').replace(/```/g, '').trim();
+  const start = stripped.indexOf('{');
+  const end = stripped.lastIndexOf('}');
+  if (start === -1 || end < start) throw new SyntaxError('the response does not contain a JSON object');
+  return JSON.parse(stripped.slice(start, end + 1));
+};
+
+const validateFindings = (items, key, errors) => {
+  if (items === undefined || items === null) {
+    errors.push(`"${key}" is missing`);
+    return [];
+  }
+  if (!Array.isArray(items)) {
+    errors.push(`"${key}" is not an array`);
+    return [];
+  }
+  return items.flatMap((item, idx) => {
+    if (typeof item === 'string' && item.trim()) {
+      return [{ finding: item, quote: '', page: null, section: '', termId: null, severity: null, category: '', contractPosition: '', standardPosition: '' }];
+    }
+    if (!item || typeof item.finding !== 'string' || !item.finding.trim()) {
+      errors.push(`${key}[${idx}] has no "finding" text`);
+      return [];
+    }
+    const page = item.page === null || item.page === undefined || item.page === '' ? null : Number(item.page);
+    if (page !== null && !Number.isInteger(page)) errors.push(`${key}[${idx}] has an invalid "page"`);
+    const severity = typeof item.severity === 'string' ? item.severity.toLowerCase() : null;
+    if (!SEVERITY_LEVELS.includes(severity)) errors.push(`${key}[${idx}] has an invalid "severity" (got ${JSON.stringify(item.severity ?? null)})`);
+    return [{
+      finding: item.finding,
+      quote: typeof item.quote === 'string' ? item.quote : '',
+      page: Number.isInteger(page) ? page : null,
+      section: typeof item.section === 'string' ? item.section : '',
+      termId: typeof item.termId === 'string' ? item.termId : null,
+      severity: SEVERITY_LEVELS.includes(severity) ? severity : null,
+      category: typeof item.category === 'string' ? item.category.trim() : '',
+      contractPosition: typeof item.contractPosition === 'string' ? item.contractPosition.trim() : '',
+      standardPosition: typeof item.standardPosition === 'string' ? item.standardPosition.trim() : '',
+    }];
+  });
+};
+
+const validateKeyTerms = (raw, errors) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push('"keyTerms" is missing or not an object');
+    return Object.fromEntries(KEY_TERM_FIELDS.map(field => [field.id, null]));
+  }
+  return Object.fromEntries(KEY_TERM_FIELDS.map(field => {
+    const value = normalizeKeyTerm(field, raw[field.id]);
+    if (value === undefined) errors.push(`keyTerms.${field.id} is not a valid ${field.type} (got ${JSON.stringify(raw[field.id])})`);
+    return [field.id, value ?? null];
+  }));
+};
+
+// Validate a raw analysis response. Returns the usable parts, one message per problem, and whether
+// the response is unusable as a whole (unparseable, or neither a summary nor any findings list).
+const validateAnalysisResponse = (text) => {
+  let output;
+  try {
+    output = parseModelJson(text);
+  } catch (error) {
+    return { value: null, errors: [`Invalid JSON: ${error.message}`], fatal: true };
+  }
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    return { value: null, errors: ['The response is not a JSON object'], fatal: true };
+  }
+
+  const errors = [];
+  const summary = typeof output.summary === 'string' && output.summary.trim() ? output.summary : null;
+  if (!summary) errors.push('"summary" is missing or empty');
+
+  const score = typeof output.overallScore === 'string' ? Number(output.overallScore) : output.overallScore;
+  const overallScore = typeof score === 'number' && score >= 1 && score <= 100 ? Math.round(score) : null;
+  if (overallScore === null) errors.push(`"overallScore" must be a number from 1 to 100 (got ${JSON.stringify(output.overallScore ?? null)})`);
+
+  const redFlags = validateFindings(output.redFlags, 'redFlags', errors);
+  const inconsistencies = validateFindings(output.inconsistencies, 'inconsistencies', errors);
+  const keyTerms = validateKeyTerms(output.keyTerms, errors);
+  const hasFindings = Array.isArray(output.redFlags) || Array.isArray(output.inconsistencies);
+
+  return {
+    value: { summary: summary || '', overallScore, redFlags, inconsistencies, keyTerms },
+    errors,
+    fatal: !summary && !hasFindings,
+  };
+};
+
+const buildRepairPrompt = (errors) => `
+Your previous response could not be used because of these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY the corrected JSON object with the keys "summary", "inconsistencies", "redFlags", "overallScore" and "keyTerms", exactly as specified. Do not add any other text.
+`;
+
+// Request the analysis and validate it, sending malformed responses back for repair a bounded
+// number of times. Returns the last response text with its validation result. onProgress receives
+// the attempt number and the text streamed so far.
+const requestAnalysis = async (complete, system, firstTurn, onProgress) => {
+  const messages = [firstTurn];
+  let result = null;
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const responseText = await complete({
+      system,
+      messages,
+      schema: ANALYSIS_RESPONSE_SCHEMA,
+      onToken: (text) => onProgress?.(attempt + 1, text),
+    });
+    result = { responseText, attempts: attempt + 1, ...validateAnalysisResponse(responseText) };
+    if (result.errors.length === 0) break;
+    messages.push(
+      { role: 'assistant', parts: [{ text: responseText }] },
+      { role: 'user', parts: [{ text: buildRepairPrompt(result.errors) }] },
+    );
+  }
+  return result;
+};
+
+// --- Rule Engine ---
+// Deterministic checks for the critical red flags. These run locally on the extracted
+// contract text, so the same document always produces the same hits regardless of the model.
+
+const US_STATES = [
+  'Alabama', 'Alaska', 'Arizona', 'Arkansas', 'California', 'Colorado', 'Connecticut', 'Delaware', 'Florida', 'Georgia',
+  'Hawaii', 'Idaho', 'Illinois', 'Indiana', 'Iowa', 'Kansas', 'Kentucky', 'Louisiana', 'Maine', 'Maryland',
+  'Massachusetts', 'Michigan', 'Minnesota', 'Mississippi', 'Missouri', 'Montana', 'Nebraska', 'Nevada', 'New Hampshire', 'New Jersey',
+  'New Mexico', 'New York', 'North Carolina', 'North Dakota', 'Ohio', 'Oklahoma', 'Oregon', 'Pennsylvania', 'Rhode Island', 'South Carolina',
+  'South Dakota', 'Tennessee', 'Texas', 'Utah', 'Vermont', 'Virginia', 'Washington', 'West Virginia', 'Wisconsin', 'Wyoming',
+];
+
+// Parses "$5,000,000", "$5M" or "$5 million" into a number of dollars.
+const parseDollarAmount = (raw) => {
+  const match = raw.match(/\$\s?([\d,]+(?:\.\d+)?)\s*(billion|million|thousand|mm|m|k)?\b/i);
+  if (!match) return null;
+  const value = parseFloat(match[1].replace(/,/g, ''));
+  const unit = (match[2] || '').toLowerCase();
+  if (unit === 'billion') return value * 1e9;
+  if (unit === 'million' || unit === 'mm' || unit === 'm') return value * 1e6;
+  if (unit === 'thousand' || unit === 'k') return value * 1e3;
+  return value;
+};
+
+const formatDollars = (amount) => `$${amount.toLocaleString('en-US')}`;
+
+// Widens a match to the sentence (or clause line) containing it, capped so quotes stay readable.
+const sentenceAround = (text, index, length, maxLength = 320) => {
+  const windowStart = Math.max(0, index - maxLength / 2);
+  let boundary = 0;
+  for (const match of text.slice(windowStart, index).matchAll(/[.;:]\s+|\n/g)) boundary = match.index + match[0].length;
+  const start = windowStart + boundary;
+  const after = text.slice(index + length, index + length + maxLength / 2);
+  const endMatch = after.search(/[.;](?:\s|$)|\n\s*\n/);
+  const end = index + length + (endMatch === -1 ? after.length : endMatch + 1);
+  return { start, end };
+};
+
+const isNegated = (text, index) => /\b(no|not|without|prohibited|waived?|excluded?|shall not|will not|may not)\b[^.]{0,40}$/i.test(text.slice(Math.max(0, index - 60), index));
+
+const RED_FLAG_RULES = [
+  {
+    id: 'cyber-limit',
+    label: 'Cyber liability limit below minimum',
+    check: (text, minimum) => {
+      const hits = [];
+      for (const match of text.matchAll(/cyber|data breach|network security and privacy/gi)) {
+        const window = text.slice(match.index, match.index + 300);
+        const amounts = [...window.matchAll(/\$\s?[\d,]+(?:\.\d+)?\s*(?:billion|million|thousand|mm|m|k)?\b/gi)]
+          .map(m => ({ amount: parseDollarAmount(m[0]), end: m.index + m[0].length }))
+          .filter(a => a.amount !== null);
+        if (amounts.length === 0) continue;
+        const limit = amounts.reduce((max, a) => (a.amount > max.amount ? a : max));
+        if (limit.amount < minimum) {
+          hits.push({
+            text: `Cyber/data breach liability limit of ${formatDollars(limit.amount)} is below the required ${formatDollars(minimum)} per occurrence.`,
+            index: match.index,
+            length: limit.end,
+          });
+        }
+      }
+      return hits.slice(0, 1);
+    },
+  },
+  {
+    id: 'fob-origin',
+    label: 'FOB Origin shipping',
+    check: (text) => {
+      const match = text.match(/\bF\.?\s?O\.?\s?B\.?[\s:,-]*(?:origin|shipping point|(?:seller|vendor|supplier)'?s?\s+(?:dock|facility|plant|warehouse))\b|\bEx[\s-]?Works\b|\bEXW\b/i);
+      if (!match) return [];
+      return [{
+        text: `Shipping terms are "${match[0].trim()}" instead of FOB Destination; Health Future would bear freight cost and risk of loss in transit.`,
+        index: match.index,
+        length: match[0].length,
+      }];
+    },
+  },
+  {
+    id: 'handling-fees',
+    label: 'Handling fees',
+    check: (text) => {
+      for (const match of text.matchAll(/shipping\s*(?:and|&)\s*handling|handling\s+(?:fees?|charges?)|restocking\s+(?:fees?|charges?)/gi)) {
+        if (isNegated(text, match.index)) continue;
+        return [{
+          text: `Contract permits "${match[0].trim()}" charges; Health Future standard prohibits handling or shipping & handling fees.`,
+          index: match.index,
+          length: match[0].length,
+        }];
+      }
+      return [];
+    },
+  },
+  {
+    id: 'governing-law',
+    label: 'Governing law outside required state',
+    check: (text, requiredState) => {
+      const statePattern = new RegExp(`\\b(${US_STATES.join('|')})\\b`, 'g');
+      for (const match of text.matchAll(/governing law|governed by|construed (?:in accordance with|under)/gi)) {
+        const window = text.slice(match.index, match.index + 250);
+        const stateMatches = [...window.matchAll(statePattern)];
+        if (stateMatches.length === 0) continue;
+        const states = [...new Set(stateMatches.map(m => m[1]))];
+        if (states.includes(requiredState)) return [];
+        const last = stateMatches[stateMatches.length - 1];
+        return [{
+          text: `Governing law is ${states.join(' / ')} rather than the State of ${requiredState}.`,
+          index: match.index,
+          length: last.index + last[0].length,
+        }];
+      }
+      return [];
+    },
+  },
+  {
+    id: 'payment-terms',
+    label: 'Payment terms shorter than required',
+    check: (text, minimumDays) => {
+      const candidates = [
+        ...[...text.matchAll(/\bnet[\s-]*(\d{1,3})\b/gi)].map(m => ({ days: parseInt(m[1], 10), match: m })),
+        ...[...text.matchAll(/(?:payment|invoices?)[^.]{0,80}?\bwithin\s+(\d{1,3})\s*(?:calendar\s+|business\s+)?days/gi)].map(m => ({ days: parseInt(m[1], 10), match: m })),
+        ...[...text.matchAll(/(?:payable|due)\s+(?:up)?on\s+receipt/gi)].map(m => ({ days: 0, match: m })),
+      ];
+      const shortest = candidates
+        .filter(c => c.days < minimumDays)
+        .sort((a, b) => a.days - b.days)[0];
+      if (!shortest) return [];
+      return [{
+        text: shortest.days === 0
+          ? `Payment is due upon receipt; Health Future standard is Net ${minimumDays} from delivery and receipt of undisputed invoice.`
+          : `Payment terms of ${shortest.days} days are shorter than the required Net ${minimumDays}.`,
+        index: shortest.match.index,
+        length: shortest.match[0].length,
+      }];
+    },
+  },
+  {
+    id: 'auto-renewal',
+    label: 'Auto-renewal without notice',
+    check: (text) => {
+      for (const match of text.matchAll(/automatically\s+renew|auto[\s-]?renew|renew\s+automatically|successive\s+(?:renewal\s+)?(?:terms|periods)/gi)) {
+        const window = text.slice(Math.max(0, match.index - 200), match.index + 300);
+        if (/notice|notif|non[\s-]?renewal|elect not to renew/i.test(window)) continue;
+        return [{
+          text: 'Agreement renews automatically with no notice or opt-out window before renewal.',
+          index: match.index,
+          length: match[0].length,
+        }];
+      }
+      return [];
+    },
+  },
+];
+
+// Runs the rule linked to each playbook term, using the term's configured value as the
+// threshold, and returns red-flag findings tagged as "rule". Rule hits always point at real
+// text, so they are cited and verified by construction.
+const runRuleEngine = (doc, playbook) => {
+  if (!doc?.text) return [];
+  return playbook.terms
+    .filter(term => term.rule && RED_FLAG_RULES.some(rule => rule.id === term.rule.id))
+    .flatMap(term => {
+      const rule = RED_FLAG_RULES.find(r => r.id === term.rule.id);
+      return rule.check(doc.text, term.rule.value).map(hit => {
+        const { start, end } = sentenceAround(doc.text, hit.index, hit.length);
+        return {
+          text: hit.text,
+          ...citeRange(doc, start, end),
+          verified: true,
+          ruleId: rule.id,
+          termId: term.id,
+          source: 'rule',
+        };
+      });
+    });
+};
+
+// Turns the model's findings into finding objects tagged as "AI" and checks each quote against
+// the extracted document. Quotes we can find take their page and section from the document
+// itself; the rest keep the model's citation but are marked unverified.
+const toAIFindings = (items, doc, playbook) => (Array.isArray(items) ? items : []).map(item => {
+  const finding = typeof item === 'string'
+    ? { text: item, quote: '', page: null, section: '', termId: null }
+    : {
+      text: item.finding || item.text || '',
+      quote: item.quote || '',
+      page: item.page ?? null,
+      section: item.section || '',
+      termId: playbook.terms.some(term => term.id === item.termId) ? item.termId : null,
+      severity: item.severity || null,
+      category: item.category || '',
+      contractPosition: item.contractPosition || '',
+      standardPosition: item.standardPosition || '',
+    };
+  const location = finding.quote ? locateQuote(doc, finding.quote) : null;
+  return {
+    ...finding,
+    ...(location ? citeRange(doc, location.start, location.end) : {}),
+    verified: finding.quote ? !!location : null,
+    source: 'AI',
+  };
+});
+
+// Fills in a finding's severity, category and Health Future's position. Findings mapped to a
+// playbook term take all three from the term, so they stay consistent with the playbook and the
+// score; the rest keep the model's values, falling back to the playbook's scoring defaults.
+const classifyFinding = (finding, kind, playbook) => {
+  const term = playbook.terms.find(t => t.id === finding.termId);
+  return {
+    ...finding,
+    severity: term?.severity || finding.severity || scoringOf(playbook).untrackedSeverity[kind],
+    category: term?.category || finding.category || 'Other',
+    contractPosition: finding.contractPosition || '',
+    standardPosition: term?.requirement || finding.standardPosition || '',
+  };
+};
+
+// --- Document Helpers ---
+
+// Pages with less extractable text than this are treated as scans
+const MIN_PAGE_TEXT_LENGTH = 20;
+const OCR_RENDER_SCALE = 2;
+
+let ocrWorkerPromise = null;
+
+// One Tesseract worker shared by all uploads, created on first use so the language data is only
+// downloaded when a scan actually needs it
+const getOcrWorker = () => {
+  if (!ocrWorkerPromise) ocrWorkerPromise = createWorker('eng');
+  return ocrWorkerPromise;
+};
+
+const extractImage = async (file, onProgress) => {
+  onProgress?.('Running OCR on image...');
+  const { data } = await (await getOcrWorker()).recognize(file);
+  const text = data.lines.map(line => line.words.map(word => word.text).join(' ')).join('\n');
+  return { text, pages: [{ number: 1, start: 0, end: text.length }], items: [], ocrPages: [1] };
+};
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// Word elements whose content is never part of the visible text
+const DOCX_SKIPPED_ELEMENTS = ['pPr', 'rPr', 'sectPr', 'tblPr', 'tblGrid', 'trPr', 'tcPr', 'instrText', 'delInstrText'];
+
+// Reads a Word document as its text would stand with all tracked changes accepted. Insertions,
+// deletions and comments are returned alongside with their authors so the reviewer and the model
+// can see what the vendor changed. Explicit page breaks start a new page.
+const extractDocx = async (file) => {
+  const zip = await JSZip.loadAsync(await file.arrayBuffer());
+  const readXml = async (path) => {
+    const entry = zip.file(path);
+    return entry ? new DOMParser().parseFromString(await entry.async('string'), 'application/xml') : null;
+  };
+  const documentXml = await readXml('word/document.xml');
+  if (!documentXml) throw new Error(`${file.name} is not a Word document.`);
+  const commentsXml = await readXml('word/comments.xml');
+  const attr = (el, name) => el.getAttributeNS(W_NS, name) || '';
+
+  let text = '';
+  let pageStart = 0;
+  const pages = [];
+  const revisions = [];
+  const commentRanges = {};
+
+  const endPage = () => pages.push({ number: pages.length + 1, start: pageStart, end: text.length });
+
+  // Text inside a deletion (or a move away) goes to that revision instead of the document
+  const walk = (node, deletion) => {
+    Array.from(node.children).forEach(el => {
+      if (el.namespaceURI !== W_NS || DOCX_SKIPPED_ELEMENTS.includes(el.localName)) return;
+      switch (el.localName) {
+        case 't':
+        case 'delText':
+          if (deletion) deletion.text += el.textContent;
+          else text += el.textContent;
+          break;
+        case 'tab':
+          if (!deletion) text += '\t';
+          break;
+        case 'br':
+        case 'cr':
+          if (deletion) break;
+          if (attr(el, 'type') === 'page') {
+            endPage();
+            text += '\n\n';
+            pageStart = text.length;
+          } else {
+            text += '\n';
+          }
+          break;
+        case 'p':
+          walk(el, deletion);
+          if (!deletion) text += '\n';
+          break;
+        case 'tc':
+          walk(el, deletion);
+          if (!deletion) text += '\t';
+          break;
+        case 'ins':
+        case 'moveTo': {
+          const start = text.length;
+          walk(el, deletion);
+          if (text.length > start) {
+            revisions.push({ type: 'insertion', author: attr(el, 'author'), date: attr(el, 'date'), text: text.slice(start), start, end: text.length });
+          }
+          break;
+        }
+        case 'del':
+        case 'moveFrom': {
+          const revision = { type: 'deletion', author: attr(el, 'author'), date: attr(el, 'date'), text: '', start: text.length, end: text.length };
+          walk(el, revision);
+          if (revision.text.trim()) revisions.push(revision);
+          break;
+        }
+        case 'commentRangeStart':
+          commentRanges[attr(el, 'id')] = { start: text.length, end: text.length };
+          break;
+        case 'commentRangeEnd':
+          if (commentRanges[attr(el, 'id')]) commentRanges[attr(el, 'id')].end = text.length;
+          break;
+        default:
+          walk(el, deletion);
+      }
+    });
+  };
+
+  walk(documentXml.getElementsByTagNameNS(W_NS, 'body')[0]);
+  endPage();
+
+  const comments = commentsXml
+    ? Array.from(commentsXml.getElementsByTagNameNS(W_NS, 'comment')).map(el => {
+      const range = commentRanges[attr(el, 'id')];
+      return {
+        author: attr(el, 'author'),
+        date: attr(el, 'date'),
+        text: Array.from(el.getElementsByTagNameNS(W_NS, 'p')).map(p => p.textContent).join('\n').trim(),
+        anchor: range ? text.slice(range.start, range.end).trim() : '',
+        ...(range || {}),
+      };
+    })
+    : [];
+
+  return { text, pages, items: [], revisions, comments };
+};
+
+const htmlToText = (html) => new DOMParser().parseFromString(html, 'text/html').body.textContent || '';
+
+// Reads a forwarded email (.eml or Outlook .msg) into its cover note and attachments
+const readEmail = async (file) => {
+  if (fileExtension(file.name) === 'msg') {
+    const reader = new MsgReader(await file.arrayBuffer());
+    const message = reader.getFileData();
+    return {
+      from: [message.senderName, message.senderEmail && `<${message.senderEmail}>`].filter(Boolean).join(' '),
+      subject: message.subject || '',
+      date: message.messageDeliveryTime || message.clientSubmitTime || '',
+      body: message.body || htmlToText(message.bodyHtml || ''),
+      attachments: (message.attachments || []).map(attachment => {
+        const { fileName, content } = reader.getAttachment(attachment);
+        return { name: fileName, content };
+      }),
+    };
+  }
+
+  const message = await PostalMime.parse(await file.arrayBuffer());
+  return {
+    from: [message.from?.name, message.from?.address && `<${message.from.address}>`].filter(Boolean).join(' '),
+    subject: message.subject || '',
+    date: message.date || '',
+    body: message.text || htmlToText(message.html || ''),
+    attachments: message.attachments.map(attachment => ({ name: attachment.filename || '', content: attachment.content, mimeType: attachment.mimeType })),
+  };
+};
+
+// The attached contract becomes the file under review; documents are preferred over images
+const unpackEmail = async (file) => {
+  const email = await readEmail(file);
+  const attachments = email.attachments.map(attachment => {
+    const format = UPLOAD_FORMATS.find(f => f.extensions.includes(fileExtension(attachment.name)));
+    return { ...attachment, format };
+  });
+  const contract = ['pdf', 'docx', 'text', 'image']
+    .map(kind => attachments.find(attachment => attachment.format?.kind === kind))
+    .find(Boolean);
+  if (!contract) throw new Error(`No contract attachment was found in ${file.name}.`);
+
+  return {
+    file: new File([contract.content], contract.name, { type: contract.format.mimeType || contract.mimeType || '' }),
+    coverNote: {
+      fileName: file.name,
+      from: email.from,
+      subject: email.subject,
+      date: email.date,
+      body: email.body.trim(),
+    },
+  };
+};
+
+// Turns an upload into the contract under review. Every format ends up as the same extracted
+// document, so the rest of the pipeline doesn't care where it came from. The text is scanned for
+// patient data before anything can be sent.
+const prepareContract = async (upload, onProgress) => {
+  const { file, coverNote } = uploadFormatOf(upload)?.kind === 'email'
+    ? await unpackEmail(upload)
+    : { file: upload, coverNote: null };
+  const doc = await extractDocument(file, onProgress);
+  return { file, coverNote, doc, phiScan: scanUpload(doc, coverNote) };
+};
+
+// --- PHI/PII Scan ---
+// Contracts shouldn't contain patient data, but exhibits, sample invoices and forwarded emails
+// sometimes do. Everything that would be sent to the model is scanned locally first, and the
+// reviewer has to redact or block any matches.
+
+const PHI_PATTERNS = [
+  { id: 'ssn', label: 'SSN', pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g },
+  { id: 'mrn', label: 'MRN', pattern: /\b(?:MRN|Medical Record (?:Number|No\.?|#)|Patient ID)\s*[:#]?\s*[A-Z0-9][A-Z0-9-]{4,}\b/gi },
+  { id: 'patient-name', label: 'Patient name', pattern: /\bPatient(?: Name)?\s*[:-]\s*[A-Z][a-z]+(?: [A-Z]\.?)?(?: [A-Z][a-z'-]+)+/g },
+  { id: 'dob', label: 'Date of birth', pattern: /\b(?:DOB|D\.O\.B\.|Date of Birth|Birth ?date)\s*[:-]?\s*\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}/gi },
+  { id: 'account', label: 'Account number', pattern: /\b(?:Account|Acct|Member|Policy|Subscriber)\.?\s*(?:No\.?|Number|ID|#)\s*[:#]?\s*\d[\d-]{5,}\d\b/gi },
+  { id: 'personal-email', label: 'Personal email', pattern: /\b[\w.+-]+@(?:gmail|googlemail|yahoo|hotmail|outlook|live|msn|aol|icloud|me|protonmail)\.com\b/gi },
+];
+
+const scanForPhi = (text) => PHI_PATTERNS.flatMap(({ id, label, pattern }) => (
+  Array.from(text.matchAll(pattern), match => ({ type: id, label, value: match[0] }))
+));
+
+// Scans the document and its context (cover note, deletions, comments). Repeated values are
+// listed once with a count.
+const scanUpload = (doc, coverNote) => {
+  const matches = [];
+  [...scanForPhi(doc.text), ...scanForPhi(describeUploadContext(doc, coverNote))].forEach(match => {
+    const existing = matches.find(m => m.type === match.type && m.value === match.value);
+    if (existing) existing.count += 1;
+    else matches.push({ ...match, count: 1 });
+  });
+  return { matches, decision: null, scannedAt: new Date().toISOString() };
+};
+
+const redactPhi = (text) => PHI_PATTERNS.reduce(
+  (redacted, { label, pattern }) => redacted.replace(pattern, `[REDACTED ${label.toUpperCase()}]`),
+  text,
+);
+
+// Whether a contract may be sent: nothing was found, or the reviewer chose to redact it
+const phiCleared = (contract) => !contract.phiScan || contract.phiScan.matches.length === 0 || contract.phiScan.decision === 'redact';
+
+// Extracts plain text from an uploaded PDF or text file for the local checks. Returns the full
+// text plus each page's character range so findings can be cited by page. Text files are split
+// into pages on form feeds, if they have any. For PDFs, each text run also keeps its position on
+// the page so the viewer can draw highlights over it.
+const extractDocument = async (file, onProgress) => {
+  const kind = uploadFormatOf(file)?.kind;
+  if (kind === 'docx') return extractDocx(file);
+  if (kind === 'image') return extractImage(file, onProgress);
+
+  let text = '';
+  const pages = [];
+  const items = [];
+
+  if (kind === 'text') {
+    (await file.text()).split('\f').forEach((pageText, idx) => {
+      if (idx > 0) text += '\n\n';
+      const start = text.length;
+      text += pageText;
+      pages.push({ number: idx + 1, start, end: text.length });
+    });
+    return { text, pages, items };
+  }
+
+  const ocrPages = [];
+  const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const content = await page.getTextContent();
+    if (pageNumber > 1) text += '\n\n';
+    const start = text.length;
+
+    // Image-only pages are rendered and run through OCR, keeping each word's box for highlights
+    if (content.items.reduce((length, item) => length + item.str.trim().length, 0) < MIN_PAGE_TEXT_LENGTH) {
+      onProgress?.(`Running OCR on page ${pageNumber} of ${pdf.numPages}...`);
+      const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+      const canvas = document.createElement('canvas');
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+      const { data } = await (await getOcrWorker()).recognize(canvas);
+      data.lines.forEach(line => {
+        line.words.forEach(word => {
+          const [left, bottom] = viewport.convertToPdfPoint(word.bbox.x0, word.bbox.y1);
+          const [right, top] = viewport.convertToPdfPoint(word.bbox.x1, word.bbox.y0);
+          items.push({ page: pageNumber, start: text.length, end: text.length + word.text.length, rect: [left, bottom, right, top] });
+          text += `${word.text} `;
+        });
+        text += '\n';
+      });
+      ocrPages.push(pageNumber);
+      pages.push({ number: pageNumber, start, end: text.length });
+      continue;
+    }
+
+    content.items.forEach(item => {
+      const [, , c, d, x, y] = item.transform;
+      items.push({
+        page: pageNumber,
+        start: text.length,
+        end: text.length + item.str.length,
+        rect: [x, y, x + item.width, y + (item.height || Math.hypot(c, d))],
+      });
+      text += item.str + (item.hasEOL ? '\n' : ' ');
+    });
+    pages.push({ number: pageNumber, start, end: text.length });
+  }
+  return { text, pages, items, ocrPages };
+};
+
+// Collapses whitespace, straightens quotes and dashes and lowercases, keeping a map from each
+// normalized character back to its index in the original text.
+const normalizeForSearch = (text) => {
+  let normalized = '';
+  const positions = [];
+  let lastWasSpace = true;
+  for (let i = 0; i < text.length; i++) {
+    let ch = text[i];
+    if (/\s/.test(ch)) {
+      if (lastWasSpace) continue;
+      ch = ' ';
+      lastWasSpace = true;
+    } else {
+      ch = ch.replace(/[\u2018\u2019]/, "'").replace(/[\u201C\u201D]/, '"').replace(/[\u2013\u2014]/, '-').toLowerCase();
+      lastWasSpace = false;
+    }
+    normalized += ch;
+    positions.push(i);
+  }
+  return { normalized, positions };
+};
+
+const searchIndexCache = new WeakMap();
+
+// Finds a quote in the document, tolerating whitespace and typography differences. Quotes the
+// model shortened with an ellipsis are matched on their longest fragment.
+const locateQuote = (doc, quote) => {
+  if (!doc?.text || !quote) return null;
+  if (!searchIndexCache.has(doc)) searchIndexCache.set(doc, normalizeForSearch(doc.text));
+  const { normalized, positions } = searchIndexCache.get(doc);
+
+  const fragment = normalizeForSearch(quote).normalized
+    .split(/\s*(?:\.\.\.|\u2026)\s*/)
+    .map(part => part.replace(/^["'\s]+|["'\s]+$/g, ''))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!fragment || fragment.length < 12) return null;
+
+  const idx = normalized.indexOf(fragment);
+  if (idx === -1) return null;
+  return { start: positions[idx], end: positions[idx + fragment.length - 1] + 1 };
+};
+
+const pageAt = (doc, index) => doc.pages.find(page => index >= page.start && index <= page.end)?.number ?? null;
+
+// Clause headings: a numbered clause ("7.2 Insurance", "Section 9 - Governing Law") or an
+// all-caps line ("TERMINATION"). Group 2 holds the clause number when there is one.
+const HEADING_PATTERN = /^[ \t]*((?:(?:SECTION|ARTICLE|Section|Article)\s+)?(\d+(?:\.\d+)*)\.?[ \t]+[A-Z][^.\n]{1,80}|[A-Z][A-Z0-9 ,&'\/-]{3,60}[ \t]*$)/gm;
+
+// Finds the nearest heading above a position.
+const sectionAt = (text, index) => {
+  const lineEnd = text.indexOf('\n', index);
+  let heading = '';
+  for (const match of text.slice(0, lineEnd === -1 ? text.length : lineEnd).matchAll(HEADING_PATTERN)) heading = match[1];
+  return heading.trim().slice(0, 80);
+};
+
+// Builds the citation for a span of the document: the quoted text, its page and its section.
+const citeRange = (doc, start, end) => ({
+  range: { start, end },
+  quote: doc.text.slice(start, end).replace(/\s+/g, ' ').trim(),
+  page: pageAt(doc, start),
+  section: sectionAt(doc.text, start),
+});
+
+// --- Draft Comparison ---
+
+const wordsOf = (text) => text.replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+
+// Jaccard similarity of the meaningful words in two passages, from 0 to 1.
+const textSimilarity = (a, b) => {
+  const setOf = (text) => new Set(wordsOf(text.toLowerCase()).map(w => w.replace(/[^a-z0-9$%]/g, '')).filter(w => w.length > 2));
+  const setA = setOf(a);
+  const setB = setOf(b);
+  if (setA.size === 0 && setB.size === 0) return 1;
+  const shared = [...setA].filter(w => setB.has(w)).length;
+  return shared / (setA.size + setB.size - shared);
+};
+
+// Splits a contract into clauses at each heading. Clauses are keyed by their number when they
+// have one, otherwise by their heading text, so the same clause can be found in another draft.
+const splitClauses = (text) => {
+  const headings = [...text.matchAll(HEADING_PATTERN)];
+  const clauses = [];
+  const preamble = text.slice(0, headings[0]?.index ?? text.length).trim();
+  if (preamble) clauses.push({ key: 'preamble', heading: 'Preamble', text: preamble });
+  headings.forEach((match, idx) => {
+    const end = headings[idx + 1]?.index ?? text.length;
+    clauses.push({
+      key: match[2] || match[1].trim().toLowerCase(),
+      heading: match[1].trim(),
+      text: text.slice(match.index, end).trim(),
+    });
+  });
+  return clauses;
+};
+
+// Pairs each clause of the earlier draft with its counterpart in the later one: first by key,
+// then by wording for clauses the vendor renumbered. Clauses only found in the later draft are
+// slotted in after their preceding clause.
+const alignClauses = (baseClauses, revisedClauses) => {
+  const used = new Set();
+  const pairs = baseClauses.map(base => {
+    let match = revisedClauses.find(c => !used.has(c) && c.key === base.key);
+    if (!match) {
+      const candidates = revisedClauses
+        .filter(c => !used.has(c))
+        .map(c => ({ clause: c, score: textSimilarity(base.text, c.text) }))
+        .sort((a, b) => b.score - a.score);
+      if (candidates[0]?.score >= 0.5) match = candidates[0].clause;
+    }
+    if (match) used.add(match);
+    return { base, revised: match || null };
+  });
+
+  revisedClauses.forEach((clause, idx) => {
+    if (used.has(clause)) return;
+    const previous = revisedClauses.slice(0, idx).reverse().find(c => used.has(c));
+    const insertAt = previous ? pairs.findIndex(p => p.revised === previous) + 1 : 0;
+    pairs.splice(insertAt, 0, { base: null, revised: clause });
+    used.add(clause);
+  });
+
+  return pairs.map(pair => ({
+    ...pair,
+    status: !pair.base ? 'added' : !pair.revised ? 'removed'
+      : wordsOf(pair.base.text).join(' ') === wordsOf(pair.revised.text).join(' ') ? 'unchanged' : 'modified',
+  }));
+};
+
+// Word-level diff of two passages (longest common subsequence). Returns runs of
+// { type: 'same' | 'del' | 'ins', text }. Very long clauses fall back to a full replacement.
+const diffWords = (before, after) => {
+  const a = wordsOf(before);
+  const b = wordsOf(after);
+  if (a.length * b.length > 4000000) {
+    return [{ type: 'del', text: a.join(' ') }, { type: 'ins', text: b.join(' ') }];
+  }
+
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const runs = [];
+  const push = (type, word) => {
+    const last = runs[runs.length - 1];
+    if (last?.type === type) last.text += ` ${word}`;
+    else runs.push({ type, text: word });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { push('same', a[i]); i++; j++; }
+    else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) push('del', a[i++]);
+    else push('ins', b[j++]);
+  }
+  while (i < a.length) push('del', a[i++]);
+  while (j < b.length) push('ins', b[j++]);
+  return runs;
+};
+
+const findingsOf = (analysis) => [
+  ...analysis.redFlags.map(finding => ({ ...finding, kind: 'redFlag' })),
+  ...analysis.inconsistencies.map(finding => ({ ...finding, kind: 'deviation' })),
+];
+
+// Deterministic risk score: 100 minus the penalty of every finding. A term is only penalized
+// once, so a rule check and the model flagging the same clause don't count twice. Each line of
+// the breakdown records how many points its finding cost and why.
+const scoreAnalysis = (analysis, playbook) => {
+  const { severityPenalties, untrackedSeverity, thresholds } = scoringOf(playbook);
+  const countedTerms = new Set();
+  const lines = findingsOf(analysis).map(finding => {
+    const term = playbook.terms.find(t => t.id === finding.termId);
+    const severity = term?.severity || untrackedSeverity[finding.kind];
+    const weight = term?.weight ?? 1;
+    const duplicate = Boolean(term) && countedTerms.has(term.id);
+    if (term) countedTerms.add(term.id);
+    return {
+      findingId: finding.id,
+      kind: finding.kind,
+      text: finding.text,
+      termId: term?.id || null,
+      category: term?.category || 'Not in playbook',
+      severity,
+      weight,
+      points: duplicate ? 0 : Math.round((severityPenalties[severity] || 0) * weight),
+      duplicate,
+    };
+  });
+  const total = lines.reduce((sum, line) => sum + line.points, 0);
+  return { value: Math.max(0, 100 - total), total, thresholds, lines };
+};
+
+// The score shown for an analysis. Reviews saved before deterministic scoring only have the
+// model's own score.
+const riskScoreOf = (analysis) => (analysis.score ? analysis.score.value : analysis.overallScore);
+
+// Two findings describe the same issue if they map to the same playbook term, or failing
+// that, if they are worded alike.
+const isSameIssue = (a, b) => (a.termId && b.termId
+  ? a.termId === b.termId
+  : textSimilarity(a.text, b.text) >= 0.45);
+
+// Sorts the findings of two rounds into resolved (only in the earlier draft), still open
+// (in both) and new (only in the later draft).
+const compareFindings = (baseAnalysis, revisedAnalysis) => {
+  const before = findingsOf(baseAnalysis);
+  const after = findingsOf(revisedAnalysis);
+  const matched = new Set();
+  const resolved = [];
+  const open = [];
+
+  before.forEach(finding => {
+    const match = after.find(candidate => !matched.has(candidate) && isSameIssue(finding, candidate));
+    if (match) {
+      matched.add(match);
+      open.push({ before: finding, after: match });
+    } else {
+      resolved.push(finding);
+    }
+  });
+
+  return { resolved, open, introduced: after.filter(finding => !matched.has(finding)) };
+};
+
+// --- DOCX Export ---
+
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[ch]));
+
+// Text as WordprocessingML runs; single line breaks become <w:br/>. Size is in points.
+const docxRuns = (text, { deleted = false, bold = false, italic = false, size = null, color = null } = {}) => {
+  const props = `${bold ? '<w:b/>' : ''}${italic ? '<w:i/>' : ''}${color ? `<w:color w:val="${color}"/>` : ''}${size ? `<w:sz w:val="${size * 2}"/>` : ''}`;
+  const tag = deleted ? 'w:delText' : 'w:t';
+  return text.split('\n').map((line, idx) => (
+    `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${idx > 0 ? '<w:br/>' : ''}<${tag} xml:space="preserve">${escapeXml(line)}</${tag}></w:r>`
+  )).join('');
+};
+
+// Packages a document body as a minimal .docx. With trackRevisions on, Word keeps tracking any
+// further edits the vendor makes.
+const buildDocx = (bodyXml, { trackRevisions = false } = {}) => {
+  const w = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/></Types>`);
+  zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>`);
+  zip.file('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/settings" Target="settings.xml"/></Relationships>`);
+  zip.file('word/settings.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:settings xmlns:w="${w}">${trackRevisions ? '<w:trackRevisions/>' : ''}</w:settings>`);
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${w}"><w:body>${bodyXml}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`);
+  return zip.generateAsync({ type: 'blob', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' });
+};
+
+// Replacements in document order, leaving out any whose passage overlaps an earlier one
+const applicableEdits = (edits) => {
+  let cursor = 0;
+  return edits
+    .filter(edit => edit.range)
+    .sort((a, b) => a.range.start - b.range.start)
+    .filter(edit => {
+      if (edit.range.start < cursor) return false;
+      cursor = edit.range.end;
+      return true;
+    });
+};
+
+// Rebuilds the vendor's text as a .docx in which every accepted replacement is a tracked change:
+// the vendor's passage deleted and our language inserted after it. Replacements for clauses
+// the contract is missing are inserted at the end.
+const buildRedlineDocx = (doc, edits, author) => {
+  const stamp = `w:author="${escapeXml(author)}" w:date="${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}"`;
+  let revisionId = 0;
+  const paragraphs = [];
+  let current = '';
+
+  const emit = (text, kind) => {
+    text.split(/\n{2,}/).forEach((chunk, idx) => {
+      if (idx > 0) {
+        paragraphs.push(current);
+        current = '';
+      }
+      if (!chunk) return;
+      const runs = docxRuns(chunk, { deleted: kind === 'del' });
+      if (kind === 'del') current += `<w:del w:id="${++revisionId}" ${stamp}>${runs}</w:del>`;
+      else if (kind === 'ins') current += `<w:ins w:id="${++revisionId}" ${stamp}>${runs}</w:ins>`;
+      else current += runs;
+    });
+  };
+
+  let cursor = 0;
+  applicableEdits(edits).forEach(edit => {
+    emit(doc.text.slice(cursor, edit.range.start), 'text');
+    emit(doc.text.slice(edit.range.start, edit.range.end), 'del');
+    emit(` ${edit.text}`, 'ins');
+    cursor = edit.range.end;
+  });
+  emit(doc.text.slice(cursor), 'text');
+  paragraphs.push(current);
+
+  const additions = edits.filter(edit => !edit.range);
+  if (additions.length > 0) {
+    paragraphs.push(`<w:ins w:id="${++revisionId}" ${stamp}>${docxRuns('Additional Provisions Requested by Health Future', { bold: true })}</w:ins>`);
+    additions.forEach(edit => paragraphs.push(`<w:ins w:id="${++revisionId}" ${stamp}>${docxRuns(edit.text)}</w:ins>`));
+  }
+
+  return buildDocx(paragraphs.map(p => `<w:p>${p}</w:p>`).join(''), { trackRevisions: true });
+};
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const baseName = (filename) => filename.replace(/\.[^.]+$/, '');
+
+// --- Review Workflow ---
+
+const REVIEWER_STORAGE_KEY = 'supplychainguard.reviewer';
+
+// What a reviewer decided about a finding. Waivers need a justification.
+const DISPOSITION_ACTIONS = [
+  { id: 'accept', label: 'Accept risk', className: 'bg-emerald-100 text-emerald-700' },
+  { id: 'require-change', label: 'Require change', className: 'bg-blue-100 text-blue-700' },
+  { id: 'waive', label: 'Waive', className: 'bg-slate-200 text-slate-700', requiresComment: true },
+  { id: 'escalate', label: 'Escalate to Legal', className: 'bg-purple-100 text-purple-700' },
+];
+
+const getDispositionAction = (actionId) => DISPOSITION_ACTIONS.find(action => action.id === actionId);
+
+const REVIEW_STATUSES = [
+  { id: 'draft', label: 'Draft', className: 'bg-slate-100 text-slate-700 border-slate-200' },
+  { id: 'negotiation', label: 'Under negotiation', className: 'bg-amber-50 text-amber-700 border-amber-200' },
+  { id: 'approved', label: 'Approved', className: 'bg-emerald-50 text-emerald-700 border-emerald-200' },
+  { id: 'rejected', label: 'Rejected', className: 'bg-red-50 text-red-700 border-red-200' },
+];
+
+const getReviewStatus = (statusId) => REVIEW_STATUSES.find(status => status.id === statusId) || REVIEW_STATUSES[0];
+
+// The contract changes that add one entry to its audit log. Entries are only ever appended, so
+// the log is a complete record of who changed what and when.
+const appendAudit = (contract, { reviewer, event, detail, findingId = null }) => ({
+  auditLog: [...(contract.auditLog || []), { at: new Date().toISOString(), reviewer: reviewer || null, event, findingId, detail }],
+});
+
+// --- Negotiation Tracking ---
+
+const NEGOTIATIONS_STORAGE_KEY = 'supplychainguard.negotiations';
+
+// A negotiation thread follows one vendor agreement through its drafts. Each round links the
+// vendor's draft (a reviewed contract, and through it the analysis), the email we sent about it
+// with the issues it asked the vendor to change, and the vendor's reply.
+const loadNegotiations = () => {
+  try {
+    return JSON.parse(localStorage.getItem(NEGOTIATIONS_STORAGE_KEY)) || [];
+  } catch (error) {
+    console.error("Failed to load negotiations:", error);
+    return [];
+  }
+};
+
+const saveNegotiations = (threads) => {
+  localStorage.setItem(NEGOTIATIONS_STORAGE_KEY, JSON.stringify(threads));
+  return threads;
+};
+
+const newRound = (contract) => ({
+  contractId: contract.id,
+  fileName: contract.file.name,
+  addedAt: new Date().toISOString(),
+  outgoing: null,
+  response: null,
+});
+
+const createNegotiation = (contract) => ({
+  id: `negotiation-${Date.now()}`,
+  name: baseName(contract.file.name),
+  createdAt: new Date().toISOString(),
+  rounds: [newRound(contract)],
+});
+
+const negotiationOf = (threads, contractId) => threads.find(thread => thread.rounds.some(round => round.contractId === contractId));
+
+// The issues an outgoing email asks the vendor to change: every finding the reviewer hasn't
+// accepted or waived
+const asksFrom = (analysis, dispositions = {}) => findingsOf(analysis)
+  .filter(finding => !['accept', 'waive'].includes(dispositions[finding.id]?.action))
+  .map(finding => ({ findingId: finding.id, text: finding.text, termId: finding.termId || null, category: finding.category || 'Other' }));
+
+const NEGOTIATION_STATUSES = {
+  asked: { label: 'Asked', className: 'bg-blue-100 text-blue-700' },
+  conceded: { label: 'Conceded', className: 'bg-emerald-100 text-emerald-700' },
+  countered: { label: 'Countered', className: 'bg-red-100 text-red-700' },
+  dropped: { label: 'Dropped', className: 'bg-slate-200 text-slate-600' },
+};
+
+// Follows every issue we asked for through the rounds. An ask is conceded when the vendor's next
+// draft no longer has the issue and countered when it still does; a countered issue we didn't
+// ask for again in the following email was dropped. Asks stay open until the next draft has been
+// analyzed. `rounds` are thread rounds with the analysis of their draft, or null.
+const trackNegotiation = (rounds) => {
+  const issues = [];
+  rounds.forEach((round, idx) => {
+    const nextAnalysis = rounds[idx + 1]?.analysis;
+    const nextFindings = nextAnalysis ? findingsOf(nextAnalysis) : null;
+    (round.outgoing?.asks || []).forEach(ask => {
+      let issue = issues.find(candidate => isSameIssue(candidate, ask));
+      if (!issue) {
+        issue = { text: ask.text, termId: ask.termId, category: ask.category, statuses: rounds.map(() => null) };
+        issues.push(issue);
+      }
+      issue.statuses[idx] = !nextFindings ? 'asked'
+        : nextFindings.some(finding => isSameIssue(ask, finding)) ? 'countered' : 'conceded';
+    });
+  });
+  issues.forEach(issue => {
+    issue.statuses.forEach((status, idx) => {
+      if (status === 'countered' && rounds[idx + 1]?.outgoing && !issue.statuses[idx + 1]) issue.statuses[idx + 1] = 'dropped';
+    });
+    issue.outcome = issue.statuses.filter(Boolean).pop();
+  });
+
+  // Terms the vendor countered every time we asked, most often countered first
+  const pushback = issues
+    .map(issue => ({
+      label: issue.termId ? issue.category : issue.text,
+      countered: issue.statuses.filter(status => status === 'countered').length,
+      answered: issue.statuses.filter(status => status === 'countered' || status === 'conceded').length,
+    }))
+    .filter(entry => entry.countered > 0 && entry.countered === entry.answered)
+    .sort((a, b) => b.countered - a.countered);
+
+  const outcomes = Object.fromEntries(Object.keys(NEGOTIATION_STATUSES).map(status => [
+    status,
+    issues.filter(issue => issue.outcome === status).length,
+  ]));
+  return { issues, outcomes, pushback };
+};
+
+// --- Review History ---
+// Finished reviews are kept in IndexedDB, including the uploaded file, so they survive a page
+// refresh and can be reopened, viewed and chatted about later.
+
+const HISTORY_DB_NAME = 'supplychainguard';
+const HISTORY_STORE = 'reviews';
+
+// Contract fields that are persisted; a change to any of them re-saves the review
+const REVIEW_FIELDS = ['doc', 'coverNote', 'phiScan', 'detection', 'typeOverride', 'fileHash', 'analysis', 'chatHistory', 'redlines', 'keyTermEdits', 'dispositions', 'reviewStatus', 'auditLog'];
+
+let historyDbPromise = null;
+
+const openHistoryDb = () => {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return historyDbPromise;
+};
+
+// Run a single request against the reviews store and resolve with its result
+const historyRequest = async (mode, run) => {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const request = run(db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const listReviews = async () => (await historyRequest('readonly', store => store.getAll()))
+  .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+
+const saveReview = (record) => historyRequest('readwrite', store => store.put(record));
+
+const deleteReview = (id) => historyRequest('readwrite', store => store.delete(id));
+
+const pickReviewFields = (source) => Object.fromEntries(REVIEW_FIELDS.map(key => [key, source[key]]));
+
+const toReviewRecord = (contract) => ({
+  id: contract.id,
+  file: contract.file,
+  fileName: contract.file.name,
+  fileType: contract.file.type,
+  fileSize: contract.file.size,
+  savedAt: new Date().toISOString(),
+  ...pickReviewFields(contract),
+});
+
+const fromReviewRecord = (record) => ({
+  id: record.id,
+  file: record.file,
+  status: 'done',
+  queued: false,
+  error: null,
+  progress: null,
+  ...pickReviewFields(record),
+  // Reviews saved before the disposition workflow
+  dispositions: record.dispositions || {},
+  reviewStatus: record.reviewStatus || 'draft',
+  auditLog: record.auditLog || [],
+});
+
+// --- Report Export ---
+
+// SHA-256 of the uploaded file, so the report can prove exactly which document was reviewed.
+const hashFile = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const KIND_LABELS = { redFlag: 'Red Flag', deviation: 'Deviation' };
+
+// Everything a formal record of one review contains. All export formats are rendered from this.
+const buildReportData = (contract, playbook) => {
+  const { analysis } = contract;
+  return {
+    fileName: contract.file.name,
+    fileSize: contract.file.size,
+    fileHash: contract.fileHash || null,
+    reviewedAt: analysis.reviewedAt || null,
+    exportedAt: new Date().toISOString(),
+    contractType: getContractType(analysis.playbook?.contractType).label,
+    playbook: analysis.playbook || null,
+    model: analysis.model || null,
+    phiScan: contract.phiScan ? { matches: contract.phiScan.matches.length, decision: contract.phiScan.decision } : null,
+    overallScore: riskScoreOf(analysis),
+    modelScore: analysis.score ? analysis.overallScore : null,
+    scoreBreakdown: analysis.score?.lines.filter(line => line.points > 0) || [],
+    summary: analysis.summary,
+    keyTerms: keyTermResults(analysis, contract.keyTermEdits, playbook).map(({ field, value, target, edited, status }) => ({
+      id: field.id,
+      label: field.label,
+      value,
+      display: formatKeyTerm(field, value),
+      playbook: formatKeyTermTarget(field, target),
+      status,
+      edited,
+    })),
+    reviewStatus: getReviewStatus(contract.reviewStatus).label,
+    auditLog: contract.auditLog || [],
+    findings: findingsOf(analysis).map(finding => ({
+      id: finding.id,
+      kind: finding.kind,
+      source: finding.source,
+      text: finding.text,
+      quote: finding.quote || '',
+      page: finding.page ?? null,
+      section: finding.section || '',
+      verified: finding.verified ?? null,
+      termId: finding.termId || null,
+      severity: finding.severity || null,
+      category: finding.category || '',
+      contractPosition: finding.contractPosition || '',
+      standardPosition: finding.standardPosition || '',
+      disposition: contract.dispositions?.[finding.id]
+        ? { ...contract.dispositions[finding.id], label: getDispositionAction(contract.dispositions[finding.id].action).label }
+        : null,
+    })),
+  };
+};
+
+const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString() : 'n/a');
+
+const reportMetadata = (report) => [
+  ['File', report.fileName],
+  ['SHA-256', report.fileHash || 'n/a'],
+  ['Contract type', report.contractType],
+  ['Playbook', report.playbook ? `${report.playbook.name} v${report.playbook.version}` : 'n/a'],
+  ['Model', report.model ? `${report.model.provider} (${report.model.name})` : 'n/a'],
+  ['Patient data scan', !report.phiScan ? 'Not scanned'
+    : report.phiScan.matches === 0 ? 'No patient data detected'
+      : `${report.phiScan.matches} possible matches redacted before upload`],
+  ['Status', report.reviewStatus],
+  ['Reviewed', formatDateTime(report.reviewedAt)],
+  ['Exported', formatDateTime(report.exportedAt)],
+  ['Score', report.overallScore === null ? 'n/a' : `${report.overallScore}/100`],
+  ['Model score', report.modelScore === null ? 'n/a' : `${report.modelScore}/100 (model opinion, not used for scoring)`],
+];
+
+const findingCitation = (finding) => [finding.page && `Page ${finding.page}`, finding.section].filter(Boolean).join(', ');
+
+const findingTags = (finding) => [
+  finding.severity?.toUpperCase(),
+  finding.category,
+  finding.source === 'rule' ? 'Rule' : 'AI',
+  finding.verified === false && 'unverified',
+].filter(Boolean).join(', ');
+
+const findingDisposition = (finding) => (finding.disposition
+  ? `${finding.disposition.label} by ${finding.disposition.reviewer}, ${formatDateTime(finding.disposition.at)}${finding.disposition.comment ? `: ${finding.disposition.comment}` : ''}`
+  : '');
+
+const auditLine = (entry) => `${formatDateTime(entry.at)}  ${entry.reviewer || 'System'}: ${entry.detail}`;
+
+const findingPositions = (finding) => (finding.contractPosition || finding.standardPosition
+  ? `Contract: ${finding.contractPosition || 'n/a'} | Standard: ${finding.standardPosition || 'n/a'}`
+  : '');
+
+const buildReportJson = (report) => new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+
+const toCsv = (rows) => rows
+  .map(row => row.map(value => {
+    const cell = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  }).join(','))
+  .join('\r\n');
+
+// One row per finding, with the review metadata repeated so rows can be pooled across contracts.
+const buildReportCsv = (report) => {
+  const header = ['File', 'SHA-256', 'Reviewed At', 'Contract Type', 'Playbook', 'Playbook Version', 'Score', 'Kind', 'Severity', 'Category', 'Standard Term', 'Source', 'Finding', 'Contract Position', 'Standard Position', 'Quote', 'Page', 'Section', 'Verified', 'Disposition', 'Disposition By', 'Disposition At', 'Disposition Comment'];
+  const rows = report.findings.map(finding => [
+    report.fileName, report.fileHash, report.reviewedAt, report.contractType, report.playbook?.name, report.playbook?.version,
+    report.overallScore, KIND_LABELS[finding.kind], finding.severity, finding.category, finding.termId, finding.source, finding.text,
+    finding.contractPosition, finding.standardPosition, finding.quote, finding.page, finding.section,
+    finding.verified === null ? '' : finding.verified ? 'yes' : 'no',
+    finding.disposition?.label, finding.disposition?.reviewer, finding.disposition?.at, finding.disposition?.comment,
+  ]);
+  return new Blob([`\uFEFF${toCsv([header, ...rows])}`], { type: 'text/csv;charset=utf-8' });
+};
+
+const buildReportDocx = (report) => {
+  const brand = '2563EB';
+  const paragraph = (runs, spacingAfter = 120) => `<w:p><w:pPr><w:spacing w:after="${spacingAfter}"/></w:pPr>${runs}</w:p>`;
+  const heading = (text) => paragraph(docxRuns(text, { bold: true, size: 13, color: brand }), 80);
+  const findingsSection = (kind, title) => {
+    const items = report.findings.filter(f => f.kind === kind);
+    return heading(`${title} (${items.length})`) + (items.length === 0
+      ? paragraph(docxRuns('None identified.', { italic: true }))
+      : items.map((finding, idx) => paragraph(
+        docxRuns(`${idx + 1}. ${finding.text}`) +
+        docxRuns(`  [${findingTags(finding)}]`, { size: 8, color: '64748B' }) +
+        (findingPositions(finding) ? docxRuns(`\n${findingPositions(finding)}`, { size: 9, color: '334155' }) : '') +
+        (finding.quote ? docxRuns(`\n"${finding.quote}"`, { italic: true, size: 9, color: '475569' }) : '') +
+        (findingCitation(finding) ? docxRuns(`\n${findingCitation(finding)}`, { size: 8, color: '94A3B8' }) : '') +
+        (finding.disposition ? docxRuns(`\n${findingDisposition(finding)}`, { bold: true, size: 8, color: '2563EB' }) : ''),
+      )).join(''));
+  };
+
+  const body = [
+    paragraph(docxRuns('SupplyChainGuard', { bold: true, size: 22, color: '0F172A' }) + docxRuns('\nHealth Future • Contract Review Report', { size: 10, color: '64748B' }), 240),
+    `<w:tbl><w:tblPr><w:tblW w:w="5000" w:type="pct"/><w:tblBorders><w:insideH w:val="single" w:sz="4" w:color="E2E8F0"/></w:tblBorders></w:tblPr>${
+      reportMetadata(report).map(([label, value]) => `<w:tr><w:tc><w:tcPr><w:tcW w:w="1600" w:type="dxa"/></w:tcPr><w:p>${docxRuns(label, { bold: true, size: 9 })}</w:p></w:tc><w:tc><w:p>${docxRuns(String(value), { size: 9 })}</w:p></w:tc></w:tr>`).join('')
+    }</w:tbl>`,
+    paragraph('', 120),
+    heading('Executive Summary'),
+    paragraph(docxRuns(report.summary || '')),
+    ...(report.scoreBreakdown.length > 0 ? [
+      heading('Score Breakdown'),
+      ...report.scoreBreakdown.map(line => paragraph(
+        docxRuns(`-${line.points}  `, { bold: true, size: 9, color: 'DC2626' }) +
+        docxRuns(`${KIND_LABELS[line.kind]}: ${line.text}`, { size: 9 }) +
+        docxRuns(`  ${line.category}, ${line.severity}${line.weight !== 1 ? ` x${line.weight}` : ''}`, { size: 8, color: '94A3B8' }),
+        40,
+      )),
+    ] : []),
+    heading('Key Terms'),
+    ...report.keyTerms.map(term => paragraph(
+      docxRuns(`${term.label}: `, { bold: true, size: 9 }) +
+      docxRuns(`${term.display}${term.edited ? ' (edited)' : ''}`, { size: 9 }) +
+      (term.status ? docxRuns(`  ${term.status.toUpperCase()}`, { bold: true, size: 8, color: term.status === 'pass' ? '059669' : 'DC2626' }) : '') +
+      (term.playbook !== '—' ? docxRuns(`  Playbook: ${term.playbook}`, { size: 8, color: '94A3B8' }) : ''),
+      40,
+    )),
+    findingsSection('redFlag', 'Red Flags'),
+    findingsSection('deviation', 'Standard Deviations'),
+    heading(`Audit Log (${report.auditLog.length})`),
+    ...report.auditLog.map(entry => paragraph(docxRuns(auditLine(entry), { size: 8, color: '475569' }), 40)),
+    paragraph(docxRuns('AI can make mistakes. Verify important terms with Legal Counsel.', { italic: true, size: 8, color: '94A3B8' })),
+  ].join('');
+  return buildDocx(body);
+};
+
+// Branded header band on the first page
+const drawPdfHeader = (pdf, margin, subtitle) => {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  pdf.setFillColor(15, 23, 42);
+  pdf.rect(0, 0, pageWidth, 68, 'F');
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(18);
+  pdf.setTextColor(255, 255, 255);
+  pdf.text('SupplyChain', margin, 42);
+  pdf.setTextColor(96, 165, 250);
+  pdf.text('Guard', margin + pdf.getTextWidth('SupplyChain'), 42);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  pdf.setTextColor(148, 163, 184);
+  pdf.text(subtitle, pageWidth - margin, 42, { align: 'right' });
+};
+
+// Page numbers on every page, once the content is laid out
+const drawPdfFooters = (pdf, label) => {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const pageCount = pdf.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    pdf.setPage(page);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(8);
+    pdf.setTextColor(148, 163, 184);
+    pdf.text(`${label} \u2022 Page ${page} of ${pageCount}`, pageWidth / 2, pageHeight - 24, { align: 'center' });
+  }
+};
+
+const buildReportPdf = (report) => {
+  const pdf = new jsPDF({ unit: 'pt', format: 'letter' });
+  const margin = 54;
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  let y = 0;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - margin) {
+      pdf.addPage();
+      y = margin;
+    }
+  };
+  const write = (text, { size = 10, bold = false, italic = false, color = [30, 41, 59], indent = 0, gap = 4 } = {}) => {
+    pdf.setFont('helvetica', bold ? 'bold' : italic ? 'italic' : 'normal');
+    pdf.setFontSize(size);
+    pdf.setTextColor(...color);
+    pdf.splitTextToSize(text, pageWidth - 2 * margin - indent).forEach(line => {
+      ensureSpace(size * 1.35);
+      pdf.text(line, margin + indent, y);
+      y += size * 1.35;
+    });
+    y += gap;
+  };
+
+  drawPdfHeader(pdf, margin, 'Health Future \u2022 Contract Review Report');
+  y = 100;
+
+  reportMetadata(report).forEach(([label, value]) => {
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(9);
+    pdf.setTextColor(71, 85, 105);
+    pdf.text(label, margin, y);
+    write(String(value), { size: 9, indent: 90, gap: 0 });
+  });
+  y += 12;
+
+  write('Executive Summary', { size: 13, bold: true, color: [37, 99, 235] });
+  write(report.summary || '', { gap: 12 });
+
+  if (report.scoreBreakdown.length > 0) {
+    write('Score Breakdown', { size: 13, bold: true, color: [37, 99, 235] });
+    report.scoreBreakdown.forEach(line => {
+      write(`-${line.points}  ${KIND_LABELS[line.kind]}: ${line.text} (${line.category}, ${line.severity}${line.weight !== 1 ? ` x${line.weight}` : ''})`, { size: 9, gap: 1 });
+    });
+    y += 12;
+  }
+
+  write('Key Terms', { size: 13, bold: true, color: [37, 99, 235] });
+  report.keyTerms.forEach(term => {
+    const status = term.status ? `  [${term.status.toUpperCase()}]` : '';
+    const expected = term.playbook !== '\u2014' ? `  (playbook: ${term.playbook})` : '';
+    write(`${term.label}: ${term.display}${term.edited ? ' (edited)' : ''}${status}${expected}`, {
+      size: 9,
+      color: term.status === 'fail' ? [220, 38, 38] : [30, 41, 59],
+      gap: 1,
+    });
+  });
+  y += 12;
+
+  [['redFlag', 'Red Flags', [220, 38, 38]], ['deviation', 'Standard Deviations', [217, 119, 6]]].forEach(([kind, title, color]) => {
+    const items = report.findings.filter(f => f.kind === kind);
+    write(`${title} (${items.length})`, { size: 13, bold: true, color });
+    if (items.length === 0) write('None identified.', { italic: true });
+    items.forEach((finding, idx) => {
+      write(`${idx + 1}. ${finding.text}  [${findingTags(finding)}]`, { gap: 2 });
+      if (findingPositions(finding)) write(findingPositions(finding), { size: 9, color: [51, 65, 85], indent: 14, gap: 2 });
+      if (finding.quote) write(`"${finding.quote}"`, { size: 9, italic: true, color: [71, 85, 105], indent: 14, gap: 2 });
+      if (findingCitation(finding)) write(findingCitation(finding), { size: 8, color: [148, 163, 184], indent: 14, gap: 2 });
+      if (finding.disposition) write(findingDisposition(finding), { size: 8, bold: true, color: [37, 99, 235], indent: 14, gap: 2 });
+      y += 6;
+    });
+    y += 8;
+  });
+
+  write(`Audit Log (${report.auditLog.length})`, { size: 13, bold: true, color: [37, 99, 235] });
+  report.auditLog.forEach(entry => write(auditLine(entry), { size: 8, color: [71, 85, 105], gap: 1 }));
+  y += 12;
+
+  write('AI can make mistakes. Verify important terms with Legal Counsel.', { size: 8, italic: true, color: [148, 163, 184] });
+  drawPdfFooters(pdf, report.fileName);
+  return pdf.output('blob');
+};
+
+const REPORT_FORMATS = [
+  { id: 'pdf', label: 'Report (PDF)', extension: 'pdf', build: buildReportPdf },
+  { id: 'docx', label: 'Report (Word)', extension: 'docx', build: buildReportDocx },
+  { id: 'json', label: 'Data (JSON)', extension: 'json', build: buildReportJson },
+  { id: 'csv', label: 'Findings (CSV)', extension: 'csv', build: buildReportCsv },
+];
+
+// --- Obligations Calendar ---
+
+// Calendar reminders set on every exported deadline, in days before it
+const DEADLINE_REMINDER_DAYS = [60, 30, 7];
+
+// Deadlines within this many days are highlighted on the timeline
+const DEADLINE_WARNING_DAYS = 30;
+
+const parseIsoDate = (iso) => {
+  const [year, month, day] = iso.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Calendar months, clamped to the end of shorter months (Jan 31 + 1 month = Feb 28)
+const addMonths = (date, months) => {
+  const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(date.getDate(), lastDay));
+  return result;
+};
+
+const daysUntil = (iso) => {
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((parseIsoDate(iso) - today) / 86400000);
+};
+
+// Key dates computed from the extracted key terms. Every date assumes the contract runs its full
+// initial term; deadlines that can't be computed are listed in `missing` with what they need.
+const buildDeadlines = (keyTerms) => {
+  const { effectiveDate, termMonths, renewalType, terminationNoticeDays, priceLockMonths, tailCoverageYears } = keyTerms;
+  const deadlines = [];
+  const missing = [];
+  const start = effectiveDate ? parseIsoDate(effectiveDate) : null;
+  const termEnd = start && termMonths != null ? addMonths(start, termMonths) : null;
+
+  if (termEnd) {
+    deadlines.push(renewalType === 'automatic'
+      ? { id: 'auto-renewal', label: 'Auto-renewal date', date: toIsoDate(termEnd), description: `The Agreement renews automatically after the ${termMonths}-month initial term unless notice is given.` }
+      : { id: 'term-end', label: 'Initial term ends', date: toIsoDate(termEnd), description: `End of the ${termMonths}-month initial term.` });
+    if (terminationNoticeDays != null) {
+      deadlines.push({
+        id: 'termination-notice',
+        label: `Last day for ${terminationNoticeDays}-day termination notice`,
+        date: toIsoDate(addDays(termEnd, -terminationNoticeDays)),
+        description: `Written notice of termination for convenience must be given ${terminationNoticeDays} days before the end of the initial term${renewalType === 'automatic' ? ' to avoid the auto-renewal' : ''}.`,
+      });
+    } else {
+      missing.push('Termination notice deadline needs the termination for convenience notice period');
+    }
+    if (tailCoverageYears != null) {
+      deadlines.push({
+        id: 'tail-coverage',
+        label: 'Insurance tail coverage ends',
+        date: toIsoDate(addMonths(termEnd, tailCoverageYears * 12)),
+        description: `Vendor's ${tailCoverageYears}-year tail coverage runs out, counted from the end of the initial term.`,
+      });
+    } else {
+      missing.push('Tail coverage end needs the tail coverage period');
+    }
+  } else {
+    missing.push('Renewal, termination notice and tail coverage dates need the effective date and initial term');
+  }
+
+  if (start && priceLockMonths != null) {
+    deadlines.push({
+      id: 'price-lock',
+      label: 'Price lock expires',
+      date: toIsoDate(addMonths(start, priceLockMonths)),
+      description: `Prices are fixed for ${priceLockMonths} months from the effective date; increases may apply after this date.`,
+    });
+  } else {
+    missing.push('Price lock expiry needs the effective date and price lock period');
+  }
+
+  return { deadlines: deadlines.sort((a, b) => a.date.localeCompare(b.date)), missing };
+};
+
+const icsEscape = (text) => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// RFC 5545 limits content lines to 75 octets of UTF-8; continuation lines start with a space,
+// which counts toward their limit. Lines are only split between characters.
+const icsFold = (line) => {
+  const encoder = new TextEncoder();
+  const chunks = [''];
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    if (size + charSize > (chunks.length === 1 ? 75 : 74)) {
+      chunks.push('');
+      size = 0;
+    }
+    chunks[chunks.length - 1] += char;
+    size += charSize;
+  }
+  return chunks.join('\r\n ');
+};
+
+const icsDate = (iso) => iso.replace(/-/g, '');
+
+// All-day calendar events for each deadline, with display alarms ahead of it. UIDs are derived
+// from the file hash so re-importing an updated export replaces the earlier events.
+const buildDeadlinesIcs = (deadlines, { contractName, uidSeed }) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Health Future//SupplyChainGuard//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...deadlines.flatMap(deadline => [
+      'BEGIN:VEVENT',
+      `UID:${deadline.id}-${uidSeed}@supplychainguard`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(deadline.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(toIsoDate(addDays(parseIsoDate(deadline.date), 1)))}`,
+      `SUMMARY:${icsEscape(`${deadline.label}: ${contractName}`)}`,
+      `DESCRIPTION:${icsEscape(deadline.description)}`,
+      'TRANSP:TRANSPARENT',
+      ...DEADLINE_REMINDER_DAYS.flatMap(days => [
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${icsEscape(`${deadline.label} in ${days} days: ${contractName}`)}`,
+        `TRIGGER:-P${days}D`,
+        'END:VALARM',
+      ]),
+      'END:VEVENT',
+    ]),
+    'END:VCALENDAR',
+  ];
+  return new Blob([lines.map(icsFold).join('\r\n') + '\r\n'], { type: 'text/calendar' });
+};
+
+// --- Email Templates ---
+
+const EMAIL_TEMPLATES_STORAGE_KEY = 'supplychainguard.emailTemplates';
+
+// Days the vendor is given to respond unless the reviewer picks another deadline
+const DEFAULT_RESPONSE_DAYS = 10;
+
+// Placeholders available in templates, written as {{id}}
+const EMAIL_VARIABLES = [
+  { id: 'vendorContact', description: 'Vendor contact name' },
+  { id: 'contractName', description: 'Contract file name' },
+  { id: 'summary', description: 'Executive summary' },
+  { id: 'criticalFindings', description: 'Critical findings, one per line' },
+  { id: 'highFindings', description: 'High-severity findings' },
+  { id: 'mediumFindings', description: 'Medium-severity findings' },
+  { id: 'lowFindings', description: 'Low-severity findings' },
+  { id: 'otherFindings', description: 'Medium- and low-severity findings' },
+  { id: 'keyStandards', description: 'Critical and high playbook requirements' },
+  { id: 'proposedLanguage', description: 'Accepted replacement language, or the standard clauses' },
+  { id: 'responseDeadline', description: 'Date the vendor should respond by' },
+  { id: 'reviewerName', description: 'Your name' },
+];
+
+// Built-in templates, one per tone. Reviewers can edit and save their own version of each.
+const EMAIL_TONES = [
+  {
+    id: 'collaborative',
+    label: 'Collaborative',
+    subject: 'Contract Review - {{contractName}} - Health Future Findings',
+    body: `Dear {{vendorContact}},
+
+Thank you for providing the draft agreement. We have completed our review against Health Future's standard supply chain terms.
+
+Much of the agreement looks acceptable. We have identified a few areas where the terms deviate from our standards, and we would welcome working through them together. Our key requirements are:
+{{keyStandards}}
+
+EXECUTIVE SUMMARY:
+{{summary}}
+
+CRITICAL ITEMS:
+{{criticalFindings}}
+
+HIGH PRIORITY ITEMS:
+{{highFindings}}
+
+OTHER ITEMS:
+{{otherFindings}}
+
+PROPOSED LANGUAGE:
+{{proposedLanguage}}
+
+We would appreciate your response by {{responseDeadline}}. We are happy to set up a call if that would help.
+
+Best regards,
+
+{{reviewerName}}
+Health Future Supply Chain Team`,
+  },
+  {
+    id: 'firm',
+    label: 'Firm',
+    subject: 'Required Changes - {{contractName}}',
+    body: `Dear {{vendorContact}},
+
+We have reviewed the draft agreement against Health Future's standard supply chain terms. The items below must be resolved before Health Future can sign.
+
+REQUIRED CHANGES (Critical):
+{{criticalFindings}}
+
+REQUIRED CHANGES (High):
+{{highFindings}}
+
+ADDITIONAL ITEMS:
+{{otherFindings}}
+
+Please incorporate the following language:
+{{proposedLanguage}}
+
+Please send a revised draft by {{responseDeadline}}.
+
+Regards,
+
+{{reviewerName}}
+Health Future Supply Chain Team`,
+  },
+  {
+    id: 'final',
+    label: 'Final notice',
+    subject: 'FINAL NOTICE: Outstanding Terms - {{contractName}}',
+    body: `Dear {{vendorContact}},
+
+This is our final request regarding the outstanding terms in the agreement. Despite previous correspondence, the following items remain unresolved:
+
+Critical:
+{{criticalFindings}}
+
+High:
+{{highFindings}}
+
+Health Future cannot accept the agreement without this language:
+{{proposedLanguage}}
+
+If we do not receive a revised draft addressing these items by {{responseDeadline}}, Health Future will not proceed with the agreement and will pursue alternative suppliers.
+
+Regards,
+
+{{reviewerName}}
+Health Future Supply Chain Team`,
+  },
+];
+
+// The templates for every tone, with the reviewer's saved edits applied
+const loadEmailTemplates = () => {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(EMAIL_TEMPLATES_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error("Failed to load email templates:", error);
+  }
+  return Object.fromEntries(EMAIL_TONES.map(tone => [tone.id, { subject: tone.subject, body: tone.body, ...saved[tone.id], custom: !!saved[tone.id] }]));
+};
+
+// Saves a tone's template, or restores the built-in one when `template` is null
+const saveEmailTemplate = (toneId, template) => {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(EMAIL_TEMPLATES_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error("Failed to load email templates:", error);
+  }
+  if (template) saved[toneId] = { subject: template.subject, body: template.body };
+  else delete saved[toneId];
+  localStorage.setItem(EMAIL_TEMPLATES_STORAGE_KEY, JSON.stringify(saved));
+  return loadEmailTemplates();
+};
+
+// Unknown placeholders are left in place so typos stay visible in the preview
+const renderEmailTemplate = (text, values) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, id) => (id in values ? values[id] : match));
+
+// Splits "Name <address>" into its parts
+const parseMailbox = (mailbox = '') => {
+  const match = mailbox.match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+  if (match) return { name: match[1].replace(/^"|"$/g, ''), address: match[2] };
+  return mailbox.includes('@') ? { name: '', address: mailbox.trim() } : { name: mailbox.trim(), address: '' };
+};
+
+// Template values for a review. Findings the reviewer accepted or waived are not raised again.
+const buildEmailValues = ({ analysis, dispositions = {}, redlines = {}, playbook, contractName, vendorContact, responseDeadline, reviewerName }) => {
+  const asked = findingsOf(analysis).filter(finding => !['accept', 'waive'].includes(dispositions[finding.id]?.action));
+  const listOf = (...severities) => {
+    const items = asked.filter(finding => severities.includes(finding.severity || 'medium'));
+    return items.length > 0 ? items.map(finding => `• ${finding.text}`).join('\n') : 'None.';
+  };
+  const accepted = asked.filter(finding => redlines[finding.id]?.status === 'accepted');
+  const proposed = accepted.length > 0
+    ? accepted.map(finding => `• ${finding.section ? `${finding.section}: ` : ''}"${redlines[finding.id].text}"`)
+    : [...new Set(asked.map(finding => standardLanguageFor(playbook.terms.find(term => term.id === finding.termId))).filter(Boolean))]
+      .map(language => `• ${language}`);
+  return {
+    vendorContact: vendorContact || 'Vendor Team',
+    contractName,
+    summary: analysis.summary,
+    criticalFindings: listOf('critical'),
+    highFindings: listOf('high'),
+    mediumFindings: listOf('medium'),
+    lowFindings: listOf('low'),
+    otherFindings: listOf('medium', 'low'),
+    keyStandards: playbook.terms
+      .filter(term => term.severity === 'critical' || term.severity === 'high')
+      .map(term => `• ${term.category}: ${term.requirement}`)
+      .join('\n'),
+    proposedLanguage: proposed.length > 0 ? proposed.join('\n') : 'None.',
+    responseDeadline: responseDeadline ? parseIsoDate(responseDeadline).toLocaleDateString(undefined, { dateStyle: 'long' }) : 'your earliest convenience',
+    reviewerName: reviewerName || 'Health Future Supply Chain',
+  };
+};
+
+const utf8Base64 = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+};
+
+// RFC 2047 encoding for header values that aren't plain ASCII
+const mimeHeader = (text) => (/^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${utf8Base64(text)}?=`);
+
+const wrapBase64 = (data) => data.replace(/.{76}/g, '$&\r\n');
+
+// An unsent message with attachments that mail clients open as a draft ready to send.
+// Attachments are { name, mimeType, data } with base64 data.
+const buildEml = ({ to, subject, body, attachments = [] }) => {
+  const boundary = `----=_SupplyChainGuard_${Date.now().toString(36)}`;
+  const lines = [
+    ...(to ? [`To: ${to}`] : []),
+    `Subject: ${mimeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'X-Unsent: 1',
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    wrapBase64(utf8Base64(body.replace(/\r?\n/g, '\r\n'))),
+    ...attachments.flatMap(attachment => [
+      `--${boundary}`,
+      `Content-Type: ${attachment.mimeType}; name="${mimeHeader(attachment.name)}"`,
+      'Content-Transfer-Encoding: base64',
+      `Content-Disposition: attachment; filename="${mimeHeader(attachment.name)}"`,
+      '',
+      wrapBase64(attachment.data),
+    ]),
+    `--${boundary}--`,
+    '',
+  ];
+  return new Blob([lines.join('\r\n')], { type: 'message/rfc822' });
+};
+
+const buildMailto = ({ to, subject, body }) => `mailto:${encodeURIComponent(to || '')}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+
+// --- Markdown ---
+
+// Chat messages are rendered from a Markdown subset: headings, paragraphs, nested lists, block
+// quotes, tables, fenced code, rules and bold/italic/code/link spans. The parser only produces
+// blocks and spans, which are turned into React elements, so replies can never inject markup.
+
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+const indentOf = (line) => line.match(/^\s*/)[0].length;
+
+const isTableStart = (line, next) => line.includes('|') && TABLE_DIVIDER_PATTERN.test(next || '');
+
+// Lines that end a paragraph without a blank line in between
+const isBlockStart = (line, next) => /^\s*(```|#{1,6}\s|>)/.test(line)
+  || LIST_ITEM_PATTERN.test(line) || RULE_PATTERN.test(line) || isTableStart(line, next);
+
+// Splits a table row on unescaped pipes
+const splitTableRow = (line) => line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+  .split(/(?<!\\)\|/)
+  .map(cell => cell.trim().replace(/\\\|/g, '|'));
+
+const parseMarkdown = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(/^\s*```\s*([\w+-]*)/);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i++]);
+      i++; // The closing fence is missing while a reply is still streaming
+      blocks.push({ type: 'code', language: fence[1], text: code.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(/^\s*(#{1,6})\s+(.*?)[\s#]*$/);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (isTableStart(line, lines[i + 1])) {
+      const header = splitTableRow(line);
+      const align = splitTableRow(lines[i + 1]).map(cell => (cell.endsWith(':') ? (cell.startsWith(':') ? 'center' : 'right') : 'left'));
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) rows.push(splitTableRow(lines[i++]));
+      blocks.push({ type: 'table', header, align, rows });
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ''));
+      blocks.push({ type: 'quote', blocks: parseMarkdown(quoted.join('\n')) });
+      continue;
+    }
+
+    const first = line.match(LIST_ITEM_PATTERN);
+    if (first) {
+      const indent = first[1].length;
+      const ordered = /\d/.test(first[2]);
+      const list = { type: 'list', ordered, start: ordered ? parseInt(first[2], 10) : 1, items: [] };
+      while (i < lines.length) {
+        // Blank lines between items keep the list going
+        let next = i;
+        while (next < lines.length && !lines[next].trim()) next++;
+        const item = lines[next]?.match(LIST_ITEM_PATTERN);
+        if (!item || item[1].length !== indent || /\d/.test(item[2]) !== ordered) break;
+        i = next + 1;
+
+        // Indented lines below an item, including nested lists, belong to it
+        const body = [];
+        let itemText = item[3];
+        while (i < lines.length) {
+          const current = lines[i];
+          if (!current.trim()) {
+            let after = i;
+            while (after < lines.length && !lines[after].trim()) after++;
+            if (after === lines.length || indentOf(lines[after]) <= indent) break;
+            body.push('');
+          } else if (indentOf(current) > indent) {
+            if (body.length === 0 && !isBlockStart(current, lines[i + 1])) itemText += `\n${current.trim()}`;
+            else body.push(current);
+          } else if (body.length === 0 && !isBlockStart(current, lines[i + 1])) {
+            itemText += `\n${current.trim()}`;
+          } else {
+            break;
+          }
+          i++;
+        }
+        const bodyIndent = Math.min(...body.filter(l => l.trim()).map(indentOf));
+        list.items.push({ text: itemText, blocks: body.length > 0 ? parseMarkdown(body.map(l => l.slice(bodyIndent)).join('\n')) : [] });
+      }
+      blocks.push(list);
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i], lines[i + 1])) paragraph.push(lines[i++].trim());
+    blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+  }
+  return blocks;
+};
+
+// Citations, code, bold, italic and links, in order of precedence. Underscores inside words
+// (snake_case) and lone asterisks are left as they are.
+const INLINE_PATTERN = /\[\[([\s\S]+?)\]\]|`([^`\n]+)`|\*\*(.+?)\*\*|__(.+?)__|(?<![\w*])\*(?![\s*])(.+?)(?<![\s*])\*(?!\*)|(?<!\w)_(?![\s_])(.+?)(?<![\s_])_(?!\w)|\[([^\]\n]+)\]\(([^)\s]+)\)/g;
+
+// Links the chat may open; anything else is shown as plain text
+const SAFE_LINK_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+const parseInline = (text) => {
+  const spans = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > last) spans.push({ type: 'text', text: text.slice(last, match.index) });
+    const [, citation, code, strong, strongAlt, em, emAlt, label, href] = match;
+    if (citation !== undefined) spans.push({ type: 'citation', text: citation.trim() });
+    else if (code !== undefined) spans.push({ type: 'code', text: code });
+    else if (strong !== undefined || strongAlt !== undefined) spans.push({ type: 'strong', spans: parseInline(strong ?? strongAlt) });
+    else if (em !== undefined || emAlt !== undefined) spans.push({ type: 'em', spans: parseInline(em ?? emAlt) });
+    else if (SAFE_LINK_PATTERN.test(href)) spans.push({ type: 'link', href, spans: parseInline(label) });
+    else spans.push({ type: 'text', text: label });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) spans.push({ type: 'text', text: text.slice(last) });
+  return spans;
+};
+
+// Plain text of a span, for output without inline formatting
+const inlineText = (text) => parseInline(text)
+  .map(span => (span.spans ? span.spans.map(inner => inner.text ?? '').join('') : span.text))
+  .join('');
+
+// --- Chat Grounding ---
+
+// Citations in chat replies: verbatim contract text in double square brackets
+const CITATION_PATTERN = /\[\[([\s\S]+?)\]\]/g;
+
+// Looks up each citation of a reply in the document. Citations get ids from `idPrefix` so the
+// viewer can highlight them like findings.
+const groundReply = (doc, text, idPrefix) => ({
+  citations: [...text.matchAll(CITATION_PATTERN)].map((match, idx) => {
+    const location = locateQuote(doc, match[1]);
+    return {
+      id: `${idPrefix}-${idx + 1}`,
+      number: idx + 1,
+      text: match[1].trim(),
+      ...(location ? citeRange(doc, location.start, location.end) : {}),
+      verified: !!location,
+    };
+  }),
+});
+
+// Questions suggested for the playbook terms a contract deviates from. Terms without one here
+// get a generic question about their category.
+const SUGGESTED_QUESTIONS = {
+  'payment-terms': 'What are the payment terms?',
+  'shipping-fob': 'Who pays freight and when does title pass?',
+  'handling-fees': 'Are there any handling or restocking fees?',
+  'termination-convenience': 'How much notice do we need to terminate for convenience?',
+  'termination-cause': 'What is the cure period?',
+  'termination-immediate': 'When can we terminate immediately?',
+  'auto-renewal': 'Does the agreement renew automatically?',
+  indemnification: 'Is the indemnification mutual?',
+  warranty: 'What does the product warranty cover?',
+  pricing: 'Can the vendor raise prices during the term?',
+  'insurance-general': 'What liability insurance must the vendor carry?',
+  'insurance-cyber': 'How much cyber liability coverage is required?',
+  'insurance-tail': 'Is tail coverage required?',
+  discontinuance: 'How much notice do we get before a product is discontinued?',
+  'governing-law': 'Which state\'s law governs the agreement?',
+};
+
+const MAX_SUGGESTED_QUESTIONS = 4;
+
+// Questions for the most severe findings first, skipping any already asked in the chat
+const suggestQuestions = (analysis, playbook, chatHistory) => {
+  const asked = new Set(chatHistory.filter(msg => msg.role === 'user').map(msg => msg.text.trim()));
+  const questions = findingsOf(analysis)
+    .filter(finding => finding.termId)
+    .sort((a, b) => SEVERITY_LEVELS.indexOf(a.severity) - SEVERITY_LEVELS.indexOf(b.severity))
+    .map(finding => {
+      const term = playbook.terms.find(t => t.id === finding.termId);
+      return SUGGESTED_QUESTIONS[finding.termId] || (term && `What does the contract say about ${term.category.toLowerCase()}?`);
+    })
+    .filter(question => question && !asked.has(question));
+  return [...new Set(questions)].slice(0, MAX_SUGGESTED_QUESTIONS);
+};
+
+// --- Chat Transcript ---
+
+const TRANSCRIPT_ROLE_LABELS = { user: 'Reviewer', model: 'AI Assistant' };
+
+const citationSource = (citation) => `[${citation.number}] ${citation.verified ? findingCitation(citation) || 'Contract text' : 'Not found in the contract'}: "${citation.text}"`;
+
+// The chat as exported: citations become numbered references with their passages as sources.
+// The first model message is the local greeting, which has nothing to cite.
+const buildTranscriptData = (contract) => ({
+  fileName: contract.file.name,
+  exportedAt: new Date().toISOString(),
+  messages: contract.chatHistory
+    .map((msg, idx) => {
+      let number = 0;
+      return {
+        role: msg.role,
+        at: msg.at || null,
+        stopped: !!msg.stopped,
+        streaming: !!msg.streaming,
+        text: msg.text.replace(CITATION_PATTERN, () => `[${++number}]`),
+        citations: msg.role === 'model' && idx > 0 ? groundReply(contract.doc, msg.text, `citation-${idx}`).citations : [],
+      };
+    })
+    .filter(msg => !msg.streaming),
+});
+
+// One message as Markdown, with its sources listed below it
+const messageMarkdown = (message) => [
+  message.text,
+  ...(message.citations.length > 0 ? [`Sources:\n${message.citations.map(c => `- ${citationSource(c)}`).join('\n')}`] : []),
+].join('\n\n');
+
+const buildTranscriptMarkdown = (transcript) => {
+  const sections = [
+    `# Chat Transcript: ${transcript.fileName}`,
+    `Exported ${formatDateTime(transcript.exportedAt)}`,
+    ...transcript.messages.map(message => [
+      '---',
+      `### ${TRANSCRIPT_ROLE_LABELS[message.role]}${message.at ? ` (${formatDateTime(message.at)})` : ''}`,
+      messageMarkdown(message) + (message.stopped ? '\n\n_Stopped before the reply was complete._' : ''),
+    ].join('\n\n')),
+    '---',
+    '_AI can make mistakes. Verify important terms with Legal Counsel._',
+  ];
+  return new Blob([`${sections.join('\n\n')}\n`], { type: 'text/markdown;charset=utf-8' });
+};
+
+const buildTranscriptPdf = (transcript) => {
+  const pdf = new jsPDF({ unit: 'pt', format: 'letter' });
+  const margin = 54;
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  let y = 0;
+
+  const write = (text, { size = 10, bold = false, italic = false, font = 'helvetica', color = [30, 41, 59], indent = 0, gap = 4 } = {}) => {
+    pdf.setFont(font, bold ? 'bold' : italic ? 'italic' : 'normal');
+    pdf.setFontSize(size);
+    pdf.setTextColor(...color);
+    pdf.splitTextToSize(text, pageWidth - 2 * margin - indent).forEach(line => {
+      if (y + size * 1.35 > pageHeight - margin) {
+        pdf.addPage();
+        y = margin;
+      }
+      pdf.text(line, margin + indent, y);
+      y += size * 1.35;
+    });
+    y += gap;
+  };
+
+  // Inline formatting is dropped; block structure is kept through indentation and fonts
+  const writeBlocks = (blocks, indent = 0) => blocks.forEach(block => {
+    if (block.type === 'heading') write(inlineText(block.text), { size: block.level <= 2 ? 12 : 11, bold: true, indent, gap: 2 });
+    else if (block.type === 'paragraph') write(inlineText(block.text), { indent });
+    else if (block.type === 'code') write(block.text, { size: 8, font: 'courier', color: [51, 65, 85], indent: indent + 8 });
+    else if (block.type === 'quote') writeBlocks(block.blocks, indent + 14);
+    else if (block.type === 'rule') y += 6;
+    else if (block.type === 'table') {
+      write(block.header.map(inlineText).join('  |  '), { size: 9, bold: true, indent, gap: 1 });
+      block.rows.forEach(row => write(row.map(inlineText).join('  |  '), { size: 9, indent, gap: 1 }));
+      y += 4;
+    } else if (block.type === 'list') {
+      block.items.forEach((item, idx) => {
+        write(`${block.ordered ? `${block.start + idx}.` : '\u2022'} ${inlineText(item.text)}`, { indent: indent + 8, gap: 2 });
+        writeBlocks(item.blocks, indent + 22);
+      });
+      y += 2;
+    }
+  });
+
+  drawPdfHeader(pdf, margin, 'Health Future \u2022 Chat Transcript');
+  y = 100;
+  write(transcript.fileName, { size: 13, bold: true, color: [37, 99, 235], gap: 0 });
+  write(`Exported ${formatDateTime(transcript.exportedAt)}`, { size: 9, color: [100, 116, 139], gap: 14 });
+
+  transcript.messages.forEach(message => {
+    write(`${TRANSCRIPT_ROLE_LABELS[message.role]}${message.at ? `  \u2022  ${formatDateTime(message.at)}` : ''}`, {
+      size: 9,
+      bold: true,
+      color: message.role === 'user' ? [37, 99, 235] : [5, 150, 105],
+      gap: 2,
+    });
+    writeBlocks(parseMarkdown(message.text));
+    message.citations.forEach(citation => write(citationSource(citation), {
+      size: 8,
+      italic: true,
+      color: citation.verified ? [100, 116, 139] : [180, 83, 9],
+      indent: 8,
+      gap: 1,
+    }));
+    if (message.stopped) write('Stopped before the reply was complete.', { size: 8, italic: true, color: [148, 163, 184] });
+    y += 10;
+  });
+
+  write('AI can make mistakes. Verify important terms with Legal Counsel.', { size: 8, italic: true, color: [148, 163, 184] });
+  drawPdfFooters(pdf, `${transcript.fileName} \u2022 Chat Transcript`);
+  return pdf.output('blob');
+};
+
+const TRANSCRIPT_FORMATS = [
+  { id: 'md', label: 'Markdown', extension: 'md', build: buildTranscriptMarkdown },
+  { id: 'pdf', label: 'PDF', extension: 'pdf', build: buildTranscriptPdf },
+];
+
+// --- Components ---
+
+const APIKeyModal = ({ providerLabel, onSave, onOpenSettings }) => {
+  const [key, setKey] = useState('');
+  const [remember, setRemember] = useState(false);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 backdrop-blur-sm">
+      <div className="bg-white p-8 rounded-xl shadow-2xl max-w-md w-full border border-slate-200">
+        <h2 className="text-2xl font-bold mb-4 text-slate-800">Enter {providerLabel} API Key</h2>
+        <p className="text-sm text-slate-600 mb-6">
+          To analyze contracts, we need a {providerLabel} API key. The key is stored only in your browser's memory unless you choose to remember it on this device.
+        </p>
+        <input
+          type="password"
+          value={key}
+          onChange={(e) => setKey(e.target.value)}
+          placeholder="Paste your API key here..."
+          className="w-full p-3 border border-slate-300 rounded-lg mb-4 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all"
+        />
+        <label className="flex items-center gap-2 text-sm text-slate-600 mb-4">
+          <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+          Remember this key on this device
+        </label>
+        <button
+          onClick={() => key && onSave(key, remember)}
+          disabled={!key}
+          className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+        >
+          Start Analyzing
+        </button>
+        <button onClick={onOpenSettings} className="w-full mt-3 text-sm text-blue-600 hover:underline">
+          Use a different provider or a local model
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const EmailDraftModal = ({ isOpen, onClose, templates, onSaveTemplate, defaults, buildValues, sentAt, onLogSent, onExportEml, onMailto }) => {
+  const [copied, setCopied] = useState(false);
+  const [toneId, setToneId] = useState(EMAIL_TONES[0].id);
+  const [to, setTo] = useState('');
+  const [vendorContact, setVendorContact] = useState('');
+  const [responseDeadline, setResponseDeadline] = useState('');
+  const [templateDraft, setTemplateDraft] = useState(null);
+  // Hand edits to the preview; cleared to regenerate it from the template
+  const [edits, setEdits] = useState({});
+
+  // Start from the contract's vendor contact every time the modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setTo(defaults.to);
+    setVendorContact(defaults.vendorContact);
+    setResponseDeadline(toIsoDate(addDays(new Date(), DEFAULT_RESPONSE_DAYS)));
+    setTemplateDraft(null);
+    setEdits({});
+  }, [isOpen, defaults.to, defaults.vendorContact]);
+
+  if (!isOpen) return null;
+
+  const template = templateDraft || templates[toneId];
+  const values = buildValues({ vendorContact, responseDeadline });
+  const email = {
+    to,
+    subject: edits.subject ?? renderEmailTemplate(template.subject, values),
+    body: edits.body ?? renderEmailTemplate(template.body, values),
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(`Subject: ${email.subject}\n\n${email.body}`);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const inputClasses = 'p-1.5 text-xs border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500 bg-white';
+  const secondaryButtonClasses = 'px-3 py-2 bg-white border border-slate-300 text-slate-700 text-sm font-medium rounded-lg hover:bg-slate-50 transition-colors flex items-center gap-2';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 backdrop-blur-sm">
+      <div className="bg-white p-6 rounded-xl shadow-2xl max-w-3xl w-full border border-slate-200 flex flex-col h-[85vh]">
+        <div className="flex justify-between items-center mb-4">
+          <div className="flex items-center gap-2">
+            <div className="p-2 bg-blue-100 rounded-lg">
+                <Mail className="w-5 h-5 text-blue-600" />
+            </div>
+            <h2 className="text-xl font-bold text-slate-800">Negotiation Email Draft</h2>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 mb-3 text-xs text-slate-500">
+          <label className="flex items-center gap-2">
+            <span className="w-16">To</span>
+            <input value={to} onChange={(e) => setTo(e.target.value)} placeholder="vendor@example.com" className={`flex-1 ${inputClasses}`} />
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="w-16">Contact</span>
+            <input value={vendorContact} onChange={(e) => setVendorContact(e.target.value)} placeholder="Vendor Team" className={`flex-1 ${inputClasses}`} />
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="w-16">Tone</span>
+            <select
+              value={toneId}
+              onChange={(e) => {
+                setToneId(e.target.value);
+                setTemplateDraft(null);
+                setEdits({});
+              }}
+              className={`flex-1 ${inputClasses}`}
+            >
+              {EMAIL_TONES.map(tone => (
+                <option key={tone.id} value={tone.id}>{tone.label}{templates[tone.id].custom ? ' (edited)' : ''}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="w-16">Respond by</span>
+            <input type="date" value={responseDeadline} onChange={(e) => setResponseDeadline(e.target.value)} className={`flex-1 ${inputClasses}`} />
+          </label>
+        </div>
+
+        {templateDraft ? (
+          <div className="mb-3 p-3 rounded-lg border border-blue-200 bg-blue-50/50 flex flex-col gap-2 text-xs">
+            <input
+              value={templateDraft.subject}
+              onChange={(e) => setTemplateDraft(prev => ({ ...prev, subject: e.target.value }))}
+              className={inputClasses}
+            />
+            <textarea
+              value={templateDraft.body}
+              onChange={(e) => setTemplateDraft(prev => ({ ...prev, body: e.target.value }))}
+              rows={8}
+              className={`font-mono resize-y ${inputClasses}`}
+            />
+            <p className="text-slate-500">
+              Variables: {EMAIL_VARIABLES.map(variable => (
+                <code key={variable.id} title={variable.description} className="mr-1 px-1 bg-white rounded border border-slate-200">{`{{${variable.id}}}`}</code>
+              ))}
+            </p>
+            <div className="flex justify-end gap-2">
+              {templates[toneId].custom && (
+                <button
+                  onClick={() => { onSaveTemplate(toneId, null); setTemplateDraft(null); }}
+                  className="px-2 py-1 text-slate-600 hover:bg-slate-100 rounded"
+                >
+                  Restore Default
+                </button>
+              )}
+              <button onClick={() => setTemplateDraft(null)} className="px-2 py-1 text-slate-600 hover:bg-slate-100 rounded">
+                Cancel
+              </button>
+              <button
+                onClick={() => { onSaveTemplate(toneId, templateDraft); setTemplateDraft(null); }}
+                className="px-2 py-1 font-medium text-white bg-blue-600 hover:bg-blue-700 rounded"
+              >
+                Save Template
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            onClick={() => setTemplateDraft({ subject: templates[toneId].subject, body: templates[toneId].body })}
+            className="self-start mb-3 text-xs text-blue-600 hover:underline"
+          >
+            Edit {EMAIL_TONES.find(tone => tone.id === toneId).label.toLowerCase()} template
+          </button>
+        )}
+        
+        <div className="flex-1 overflow-hidden flex flex-col bg-slate-50 rounded-lg border border-slate-200 p-4">
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-xs font-medium text-slate-500 uppercase tracking-wider">Preview</p>
+              {(edits.subject !== undefined || edits.body !== undefined) && (
+                <button onClick={() => setEdits({})} className="text-xs text-blue-600 hover:underline">
+                  Discard edits
+                </button>
+              )}
+            </div>
+            <input
+                className="w-full mb-2 pb-2 bg-transparent border-b border-slate-200 font-mono text-sm font-semibold outline-none text-slate-700"
+                value={email.subject}
+                onChange={(e) => setEdits(prev => ({ ...prev, subject: e.target.value }))}
+            />
+            <textarea 
+                className="flex-1 w-full bg-transparent font-mono text-sm resize-none outline-none text-slate-700 leading-relaxed"
+                value={email.body}
+                onChange={(e) => setEdits(prev => ({ ...prev, body: e.target.value }))}
+            />
+        </div>
+
+        <div className="mt-4 flex justify-end items-center gap-2">
+            {sentAt && <span className="mr-auto text-xs text-slate-500">Logged as sent {formatDateTime(sentAt)}</span>}
+            <button
+                onClick={() => onLogSent(email)}
+                className={secondaryButtonClasses}
+                title="Record this email as this round's message to the vendor"
+            >
+                <Send className="w-4 h-4" />
+                {sentAt ? 'Log Again' : 'Log as Sent'}
+            </button>
+            <button
+                onClick={() => onMailto(email)}
+                className={secondaryButtonClasses}
+                title="Open in your mail app. The report PDF is downloaded for you to attach."
+            >
+                <Mail className="w-4 h-4" />
+                Open in Mail
+            </button>
+            <button
+                onClick={() => onExportEml(email)}
+                className={secondaryButtonClasses}
+                title="Draft email with the report PDF attached"
+            >
+                <Download className="w-4 h-4" />
+                .eml
+            </button>
+            <button 
+                onClick={handleCopy}
+                className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2"
+            >
+                {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                {copied ? "Copied!" : "Copy"}
+            </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const PlaybookEditorModal = ({ isOpen, onClose, playbook, versionCount, onSave, onChangeType }) => {
+  const [terms, setTerms] = useState(playbook.terms);
+  const [scoring, setScoring] = useState(scoringOf(playbook));
+
+  // Start from the latest saved version every time the editor opens
+  useEffect(() => {
+    if (isOpen) {
+      setTerms(playbook.terms);
+      setScoring(scoringOf(playbook));
+    }
+  }, [isOpen, playbook]);
+
+  if (!isOpen) return null;
+
+  const updateTerm = (idx, changes) => {
+    setTerms(prev => prev.map((term, i) => (i === idx ? { ...term, ...changes } : term)));
+  };
+
+  const updateTarget = (idx, field, raw) => {
+    const term = terms[idx];
+    updateTerm(idx, { targets: { ...targetsOf(term), [field.id]: normalizeKeyTerm(field, raw) ?? null } });
+  };
+
+  const updateRuleValue = (idx, raw) => {
+    const term = terms[idx];
+    const value = typeof term.rule.value === 'number' ? Number(raw) : raw;
+    updateTerm(idx, { rule: { ...term.rule, value } });
+  };
+
+  const addTerm = () => {
+    setTerms(prev => [...prev, {
+      id: `term-${Date.now()}`,
+      category: 'New Term',
+      requirement: '',
+      checklist: '',
+      severity: 'medium',
+      rationale: '',
+      standardLanguage: '',
+    }]);
+  };
+
+  const updateScoring = (key, changes) => {
+    setScoring(prev => ({ ...prev, [key]: { ...prev[key], ...changes } }));
+  };
+
+  const isDirty = JSON.stringify(terms) !== JSON.stringify(playbook.terms)
+    || JSON.stringify(scoring) !== JSON.stringify(scoringOf(playbook));
+  const isValid = terms.every(term => term.category.trim() && term.requirement.trim());
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 backdrop-blur-sm">
+      <div className="bg-white p-6 rounded-xl shadow-2xl max-w-4xl w-full border border-slate-200 flex flex-col h-[85vh]">
+        <div className="flex justify-between items-center mb-4">
+          <div className="flex items-center gap-2">
+            <div className="p-2 bg-blue-100 rounded-lg">
+                <BookOpen className="w-5 h-5 text-blue-600" />
+            </div>
+            <div>
+              <div className="flex items-center gap-2">
+                <h2 className="text-xl font-bold text-slate-800">{playbook.name}</h2>
+                <select
+                  value={playbook.contractType}
+                  onChange={(e) => {
+                    if (!isDirty || window.confirm("Discard unsaved changes to this playbook?")) onChangeType(e.target.value);
+                  }}
+                  className="p-1 text-xs border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+                >
+                  {CONTRACT_TYPES.map(type => <option key={type.id} value={type.id}>{type.label}</option>)}
+                </select>
+              </div>
+              <p className="text-xs text-slate-500">
+                Version {playbook.version}
+                {playbook.savedAt ? ` • saved ${new Date(playbook.savedAt).toLocaleString()}` : ' • built-in default'}
+                {versionCount > 1 && ` • ${versionCount - 1} earlier version${versionCount > 2 ? 's' : ''} kept`}
+              </p>
+            </div>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto space-y-3 pr-1">
+          <div className="rounded-lg border border-blue-200 bg-blue-50/50 p-4 text-xs text-slate-600">
+            <h3 className="text-sm font-semibold text-slate-800 mb-1">Scoring</h3>
+            <p className="text-slate-500 mb-3">
+              Contracts start at 100. Each finding deducts its term's severity penalty times the term's weight, once per term.
+            </p>
+            <div className="flex flex-wrap items-center gap-x-4 gap-y-2">
+              {SEVERITY_LEVELS.map(level => (
+                <label key={level} className="flex items-center gap-1.5 capitalize">
+                  {level}
+                  <input
+                    type="number"
+                    min="0"
+                    value={scoring.severityPenalties[level]}
+                    onChange={(e) => updateScoring('severityPenalties', { [level]: Number(e.target.value) })}
+                    className="p-1.5 w-16 text-xs border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </label>
+              ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-2">
+              {Object.entries(KIND_LABELS).map(([kind, label]) => (
+                <label key={kind} className="flex items-center gap-1.5">
+                  {label}s outside the playbook count as
+                  <select
+                    value={scoring.untrackedSeverity[kind]}
+                    onChange={(e) => updateScoring('untrackedSeverity', { [kind]: e.target.value })}
+                    className="p-1.5 text-xs border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+                  >
+                    {SEVERITY_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-2">
+              <label className="flex items-center gap-1.5">
+                Green above
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={scoring.thresholds.good}
+                  onChange={(e) => updateScoring('thresholds', { good: Number(e.target.value) })}
+                  className="p-1.5 w-16 text-xs border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </label>
+              <label className="flex items-center gap-1.5">
+                Amber above
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={scoring.thresholds.fair}
+                  onChange={(e) => updateScoring('thresholds', { fair: Number(e.target.value) })}
+                  className="p-1.5 w-16 text-xs border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </label>
+            </div>
+          </div>
+
+          {terms.map((term, idx) => (
+            <div key={term.id} className="rounded-lg border border-slate-200 bg-slate-50 p-4">
+              <div className="flex items-center gap-3 mb-3">
+                <input
+                  value={term.category}
+                  onChange={(e) => updateTerm(idx, { category: e.target.value })}
+                  placeholder="Category"
+                  className="flex-1 p-2 text-sm font-semibold border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <select
+                  value={term.severity}
+                  onChange={(e) => updateTerm(idx, { severity: e.target.value })}
+                  className="p-2 text-sm border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+                >
+                  {SEVERITY_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+                </select>
+                <label className="flex items-center gap-1 text-xs text-slate-500" title="Multiplies the severity penalty for this term">
+                  Weight
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={term.weight ?? 1}
+                    onChange={(e) => updateTerm(idx, { weight: Number(e.target.value) })}
+                    className="p-2 w-16 text-sm border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </label>
+                <span className="text-[10px] font-mono text-slate-400">{term.id}</span>
+                <button
+                  onClick={() => setTerms(prev => prev.filter((_, i) => i !== idx))}
+                  className="p-2 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                  title="Remove term"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+              <textarea
+                value={term.requirement}
+                onChange={(e) => updateTerm(idx, { requirement: e.target.value })}
+                placeholder="Required value (e.g. Net 30 days from receipt of undisputed invoice)"
+                rows={2}
+                className="w-full p-2 text-sm border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500 resize-none mb-2"
+              />
+              <textarea
+                value={term.standardLanguage || ''}
+                onChange={(e) => updateTerm(idx, { standardLanguage: e.target.value })}
+                placeholder="Standard clause language proposed as a replacement when a contract deviates"
+                rows={2}
+                className="w-full p-2 text-xs border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500 resize-y mb-2"
+              />
+              <div className="grid grid-cols-2 gap-2">
+                <input
+                  value={term.rationale}
+                  onChange={(e) => updateTerm(idx, { rationale: e.target.value })}
+                  placeholder="Rationale"
+                  className="p-2 text-xs border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <input
+                  value={term.checklist}
+                  onChange={(e) => updateTerm(idx, { checklist: e.target.value })}
+                  placeholder="Checklist label (leave empty to hide)"
+                  className="p-2 text-xs border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              {term.rule && term.rule.value !== undefined && (
+                <label className="flex items-center gap-2 mt-2 text-xs text-slate-500">
+                  Rule threshold ({term.rule.id})
+                  <input
+                    type={typeof term.rule.value === 'number' ? 'number' : 'text'}
+                    value={term.rule.value}
+                    onChange={(e) => updateRuleValue(idx, e.target.value)}
+                    className="p-1.5 w-40 text-xs border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </label>
+              )}
+              {KEY_TERM_FIELDS.filter(field => field.termId === term.id && field.id in targetsOf(term)).map(field => (
+                <label key={field.id} className="flex items-center gap-2 mt-2 text-xs text-slate-500">
+                  Key term target: {field.label}
+                  {field.type === 'enum' ? (
+                    <select
+                      value={targetsOf(term)[field.id] ?? ''}
+                      onChange={(e) => updateTarget(idx, field, e.target.value)}
+                      className="p-1.5 text-xs border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+                    >
+                      {field.options.map(option => <option key={option} value={option}>{formatKeyTerm(field, option)}</option>)}
+                    </select>
+                  ) : (
+                    <input
+                      type={field.type === 'text' || field.type === 'date' ? 'text' : 'number'}
+                      value={targetsOf(term)[field.id] ?? ''}
+                      onChange={(e) => updateTarget(idx, field, e.target.value)}
+                      className="p-1.5 w-40 text-xs border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  )}
+                </label>
+              ))}
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-4 flex justify-between gap-3">
+            <button 
+                onClick={addTerm}
+                className="px-4 py-2 text-slate-600 font-medium hover:bg-slate-100 rounded-lg transition-colors flex items-center gap-2"
+            >
+                <Plus className="w-4 h-4" />
+                Add Term
+            </button>
+            <div className="flex gap-3">
+              <button 
+                  onClick={onClose}
+                  className="px-4 py-2 text-slate-600 font-medium hover:bg-slate-100 rounded-lg transition-colors"
+              >
+                  Cancel
+              </button>
+              <button 
+                  onClick={() => onSave(terms, scoring)}
+                  disabled={!isDirty || !isValid}
+                  className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                  <Save className="w-4 h-4" />
+                  Save as v{playbook.version + 1}
+              </button>
+            </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Highlight colors match the AnalysisCard each finding is listed in; chat citations are blue
+const HIGHLIGHT_STYLES = {
+  danger: 'bg-red-400/30 hover:bg-red-400/50',
+  warning: 'bg-amber-400/30 hover:bg-amber-400/50',
+  citation: 'bg-blue-400/30 hover:bg-blue-400/50',
+};
+
+const PdfPage = ({ pdf, pageNumber, scale, highlights, activeFindingId, onSelectFinding }) => {
+  const canvasRef = useRef(null);
+  const [viewport, setViewport] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let renderTask = null;
+    pdf.getPage(pageNumber).then(page => {
+      if (cancelled) return;
+      const pageViewport = page.getViewport({ scale });
+      const canvas = canvasRef.current;
+      canvas.width = pageViewport.width;
+      canvas.height = pageViewport.height;
+      renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport: pageViewport });
+      renderTask.promise.catch(() => {}); // Cancelled when the page re-renders at a new zoom level
+      setViewport(pageViewport);
+    });
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [pdf, pageNumber, scale]);
+
+  return (
+    <div
+      className="relative mx-auto mb-4 bg-white shadow-md"
+      style={viewport ? { width: viewport.width, height: viewport.height } : { height: 800 * scale }}
+    >
+      <canvas ref={canvasRef} className="block" />
+      {viewport && highlights.flatMap(highlight => highlight.rects.map((rect, idx) => {
+        const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(rect);
+        return (
+          <div
+            key={`${highlight.id}-${idx}`}
+            data-finding-id={idx === 0 ? highlight.id : undefined}
+            onClick={() => onSelectFinding(highlight.id)}
+            className={`absolute cursor-pointer rounded-sm mix-blend-multiply transition-colors ${HIGHLIGHT_STYLES[highlight.tone]} ${
+              highlight.id === activeFindingId ? 'ring-2 ring-offset-1 ring-slate-700' : ''
+            }`}
+            style={{ left: Math.min(x1, x2), top: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) }}
+            title={highlight.text}
+          />
+        );
+      }))}
+    </div>
+  );
+};
+
+const TextPage = ({ doc, page, highlights, activeFindingId, onSelectFinding }) => {
+  // Split the page at every highlight boundary and mark the segments covered by a finding
+  const boundaries = [...new Set([
+    page.start,
+    page.end,
+    ...highlights.flatMap(h => [h.range.start, h.range.end]).filter(pos => pos > page.start && pos < page.end),
+  ])].sort((a, b) => a - b);
+
+  return (
+    <div className="mx-auto mb-4 bg-white shadow-md p-8 max-w-3xl">
+      <p className="whitespace-pre-wrap font-serif text-sm leading-relaxed text-slate-800">
+        {boundaries.slice(0, -1).map((start, idx) => {
+          const end = boundaries[idx + 1];
+          const segment = doc.text.slice(start, end);
+          const highlight = highlights.find(h => h.range.start <= start && h.range.end >= end);
+          if (!highlight) return <React.Fragment key={start}>{segment}</React.Fragment>;
+          return (
+            <mark
+              key={start}
+              data-finding-id={highlight.range.start === start ? highlight.id : undefined}
+              onClick={() => onSelectFinding(highlight.id)}
+              className={`cursor-pointer rounded-sm text-inherit transition-colors ${HIGHLIGHT_STYLES[highlight.tone]} ${
+                highlight.id === activeFindingId ? 'ring-2 ring-slate-700' : ''
+              }`}
+              title={highlight.text}
+            >
+              {segment}
+            </mark>
+          );
+        })}
+      </p>
+      <p className="mt-6 text-center text-[10px] text-slate-400">Page {page.number}</p>
+    </div>
+  );
+};
+
+const DocumentViewer = ({ file, doc, findings, activeFindingId, onSelectFinding, onClose }) => {
+  const [pdf, setPdf] = useState(null);
+  const [scale, setScale] = useState(1.2);
+  const containerRef = useRef(null);
+  const isPdf = uploadFormatOf(file)?.kind === 'pdf';
+
+  useEffect(() => {
+    if (!isPdf) return;
+    let loadingTask = null;
+    file.arrayBuffer().then(data => {
+      loadingTask = pdfjsLib.getDocument({ data });
+      return loadingTask.promise;
+    }).then(setPdf).catch(error => console.error("Error loading PDF for viewer:", error));
+    return () => {
+      loadingTask?.destroy();
+      setPdf(null);
+    };
+  }, [file, isPdf]);
+
+  // Scroll the selected finding's passage into view
+  useEffect(() => {
+    if (!activeFindingId) return;
+    containerRef.current
+      ?.querySelector(`[data-finding-id="${activeFindingId}"]`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [activeFindingId]);
+
+  const located = findings.filter(finding => finding.range);
+  const highlightsOnPage = (pageNumber) => {
+    if (!isPdf) {
+      const page = doc.pages[pageNumber - 1];
+      return located.filter(f => f.range.start < page.end && f.range.end > page.start);
+    }
+    return located
+      .map(finding => ({
+        ...finding,
+        rects: (doc?.items || [])
+          .filter(item => item.page === pageNumber && item.start < finding.range.end && item.end > finding.range.start)
+          .map(item => item.rect),
+      }))
+      .filter(finding => finding.rects.length > 0);
+  };
+
+  return (
+    <div className="flex-1 min-w-[360px] flex flex-col border-r border-slate-200 bg-slate-200/60 h-full">
+      <div className="flex items-center justify-between px-4 py-2 bg-white border-b border-slate-200 text-sm">
+        <div className="flex items-center gap-2 min-w-0">
+          <FileIcon className="w-4 h-4 text-slate-400 shrink-0" />
+          <span className="font-medium text-slate-700 truncate">{file.name}</span>
+          {located.length > 0 && (
+            <span className="text-xs text-slate-400 shrink-0">{located.length} highlighted</span>
+          )}
+        </div>
+        <div className="flex items-center gap-1">
+          {isPdf && (
+            <>
+              <button onClick={() => setScale(prev => Math.max(0.6, prev - 0.2))} className="p-1.5 text-slate-500 hover:bg-slate-100 rounded" title="Zoom out">
+                <ZoomOut className="w-4 h-4" />
+              </button>
+              <span className="text-xs text-slate-500 w-10 text-center">{Math.round(scale * 100)}%</span>
+              <button onClick={() => setScale(prev => Math.min(2.4, prev + 0.2))} className="p-1.5 text-slate-500 hover:bg-slate-100 rounded" title="Zoom in">
+                <ZoomIn className="w-4 h-4" />
+              </button>
+            </>
+          )}
+          <button onClick={onClose} className="p-1.5 text-slate-500 hover:bg-slate-100 rounded" title="Hide document">
+            <EyeOff className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div ref={containerRef} className="flex-1 overflow-auto p-4">
+        {(isPdf ? !pdf : !doc) ? (
+          <div className="h-full flex items-center justify-center text-slate-400">
+            <Loader2 className="w-6 h-6 animate-spin" />
+          </div>
+        ) : isPdf ? (
+          Array.from({ length: pdf.numPages }, (_, idx) => (
+            <PdfPage
+              key={idx + 1}
+              pdf={pdf}
+              pageNumber={idx + 1}
+              scale={scale}
+              highlights={highlightsOnPage(idx + 1)}
+              activeFindingId={activeFindingId}
+              onSelectFinding={onSelectFinding}
+            />
+          ))
+        ) : (
+          doc.pages.map(page => (
+            <TextPage
+              key={page.number}
+              doc={doc}
+              page={page}
+              highlights={highlightsOnPage(page.number)}
+              activeFindingId={activeFindingId}
+              onSelectFinding={onSelectFinding}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+const getScoreClasses = (score, thresholds = DEFAULT_SCORING.thresholds) => (
+  score === null ? 'bg-slate-100 text-slate-500' :
+  score > thresholds.good ? 'bg-emerald-100 text-emerald-700' :
+  score > thresholds.fair ? 'bg-amber-100 text-amber-700' :
+  'bg-red-100 text-red-700'
+);
+
+const STATUS_STYLES = {
+  pending: { label: 'Pending', className: 'bg-slate-100 text-slate-600', Icon: Clock },
+  analyzing: { label: 'Analyzing', className: 'bg-blue-100 text-blue-700', Icon: Loader2 },
+  done: { label: 'Done', className: 'bg-emerald-100 text-emerald-700', Icon: CheckCircle },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-700', Icon: XCircle },
+};
+
+const StatusBadge = ({ contract }) => {
+  const { label, className, Icon } = STATUS_STYLES[contract.status];
+  return (
+    <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-[10px] font-semibold uppercase tracking-wider ${className}`}>
+      <Icon className={`w-3 h-3 ${contract.status === 'analyzing' ? 'animate-spin' : ''}`} />
+      {contract.status === 'pending' && contract.queued ? 'Queued' : label}
+    </span>
+  );
+};
+
+const PortfolioTable = ({ contracts, activeContractId, onOpen }) => {
+  const done = contracts.filter(c => c.status === 'done');
+
+  return (
+    <div className="flex-1 flex flex-col bg-slate-50 h-full overflow-hidden">
+      <div className="px-6 py-4 bg-white border-b border-slate-200 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-bold text-slate-800">Portfolio</h2>
+          <p className="text-xs text-slate-500">
+            {done.length} of {contracts.length} contracts reviewed
+            {contracts.some(c => c.status === 'failed') && ` • ${contracts.filter(c => c.status === 'failed').length} failed`}
+          </p>
+        </div>
+      </div>
+      <div className="flex-1 overflow-auto p-6">
+        <table className="w-full text-sm bg-white rounded-lg border border-slate-200 shadow-sm overflow-hidden">
+          <thead className="bg-slate-50 text-xs uppercase tracking-wider text-slate-500">
+            <tr>
+              <th className="text-left font-semibold px-4 py-3">Contract</th>
+              <th className="text-left font-semibold px-4 py-3">Type</th>
+              <th className="text-left font-semibold px-4 py-3">Status</th>
+              <th className="text-right font-semibold px-4 py-3">Score</th>
+              <th className="text-right font-semibold px-4 py-3">Red Flags</th>
+              <th className="text-left font-semibold px-4 py-3">Top Issue</th>
+            </tr>
+          </thead>
+          <tbody>
+            {contracts.map(contract => {
+              const { analysis } = contract;
+              const topIssue = analysis?.redFlags[0] || analysis?.inconsistencies[0];
+              const typeId = analysis?.playbook?.contractType || contract.typeOverride || contract.detection?.typeId;
+              return (
+                <tr
+                  key={contract.id}
+                  onClick={() => onOpen(contract.id)}
+                  className={`border-t border-slate-100 cursor-pointer hover:bg-blue-50/50 transition-colors ${
+                    contract.id === activeContractId ? 'bg-blue-50' : ''
+                  }`}
+                >
+                  <td className="px-4 py-3 font-medium text-slate-700 max-w-[220px] truncate">{contract.file.name}</td>
+                  <td className="px-4 py-3 text-slate-500">{typeId ? getContractType(typeId).label : '—'}</td>
+                  <td className="px-4 py-3">
+                    <StatusBadge contract={contract} />
+                    {contract.status === 'done' && (
+                      <span className="ml-1 text-[10px] text-slate-500">{getReviewStatus(contract.reviewStatus).label}</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    {analysis ? (
+                      <span className={`px-2 py-0.5 rounded-md font-bold text-xs ${getScoreClasses(riskScoreOf(analysis), analysis.score?.thresholds)}`}>
+                        {riskScoreOf(analysis) ?? '—'}
+                      </span>
+                    ) : '—'}
+                  </td>
+                  <td className={`px-4 py-3 text-right font-semibold ${analysis?.redFlags.length ? 'text-red-600' : 'text-slate-400'}`}>
+                    {analysis ? analysis.redFlags.length : '—'}
+                  </td>
+                  <td className="px-4 py-3 text-slate-600 max-w-[360px] truncate" title={topIssue?.text || contract.error || ''}>
+                    {contract.status === 'failed' ? <span className="text-red-600">{contract.error}</span> : topIssue?.text || (analysis ? 'No issues found' : '—')}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const FINDING_KIND_STYLES = {
+  redFlag: { label: 'Red Flag', className: 'bg-red-100 text-red-700', Icon: ShieldAlert },
+  deviation: { label: 'Deviation', className: 'bg-amber-100 text-amber-700', Icon: AlertTriangle },
+};
+
+const FindingKindBadge = ({ kind }) => {
+  const { label, className, Icon } = FINDING_KIND_STYLES[kind];
+  return (
+    <span className={`inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase tracking-wider shrink-0 ${className}`}>
+      <Icon className="w-3 h-3" />
+      {label}
+    </span>
+  );
+};
+
+const ComparisonView = ({ base, revised, onClose }) => {
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  // Aligning and diffing every clause is expensive on long contracts, so it is only redone when
+  // one of the drafts changes. Unchanged clauses need no diff.
+  const clauses = useMemo(() => (base.doc && revised.doc
+    ? alignClauses(splitClauses(base.doc.text), splitClauses(revised.doc.text)).map(pair => ({
+      ...pair,
+      runs: pair.status === 'unchanged'
+        ? [{ type: 'same', text: wordsOf(pair.base.text).join(' ') }]
+        : diffWords(pair.base?.text || '', pair.revised?.text || ''),
+    }))
+    : null), [base.doc, revised.doc]);
+  const findings = base.analysis && revised.analysis ? compareFindings(base.analysis, revised.analysis) : null;
+  const changedCount = clauses ? clauses.filter(pair => pair.status !== 'unchanged').length : 0;
+
+  const groups = findings ? [
+    { title: 'Resolved', description: 'Raised on the earlier draft, no longer present', className: 'text-emerald-700', items: findings.resolved.map(f => ({ finding: f })) },
+    { title: 'Still Open', description: 'Raised on both drafts', className: 'text-amber-700', items: findings.open.map(pair => ({ finding: pair.after, previous: pair.before })) },
+    { title: 'Newly Introduced', description: 'Only on the later draft', className: 'text-red-700', items: findings.introduced.map(f => ({ finding: f })) },
+  ] : [];
+
+  return (
+    <div className="flex-1 flex flex-col bg-slate-50 h-full overflow-hidden">
+      <div className="px-6 py-4 bg-white border-b border-slate-200 flex items-center justify-between">
+        <div className="min-w-0">
+          <h2 className="text-lg font-bold text-slate-800">Draft Comparison</h2>
+          <p className="text-xs text-slate-500 truncate">
+            {base.file.name} <span className="mx-1">→</span> {revised.file.name}
+          </p>
+        </div>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+          <X className="w-6 h-6" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-auto p-6 space-y-6">
+        {/* Negotiation status at a glance */}
+        <div className="grid grid-cols-4 gap-3">
+          {[
+            { label: 'Resolved', value: findings?.resolved.length, className: 'text-emerald-600' },
+            { label: 'Still Open', value: findings?.open.length, className: 'text-amber-600' },
+            { label: 'New', value: findings?.introduced.length, className: 'text-red-600' },
+            { label: 'Clauses Changed', value: clauses ? changedCount : undefined, className: 'text-blue-600' },
+          ].map(stat => (
+            <div key={stat.label} className="bg-white rounded-lg border border-slate-200 p-4 text-center">
+              <p className={`text-2xl font-bold ${stat.className}`}>{stat.value ?? '—'}</p>
+              <p className="text-xs text-slate-500 uppercase tracking-wider">{stat.label}</p>
+            </div>
+          ))}
+        </div>
+
+        {findings ? (
+          <div className="grid grid-cols-3 gap-4">
+            {groups.map(group => (
+              <div key={group.title} className="bg-white rounded-lg border border-slate-200 p-4">
+                <p className={`font-semibold ${group.className}`}>{group.title} ({group.items.length})</p>
+                <p className="text-[10px] text-slate-400 mb-3">{group.description}</p>
+                <ul className="space-y-2 text-sm text-slate-700">
+                  {group.items.map(({ finding, previous }) => (
+                    <li key={`${group.title}-${finding.id}`} className="flex flex-col gap-1">
+                      <div className="flex items-center gap-1">
+                        <FindingKindBadge kind={finding.kind} />
+                        {previous && previous.kind !== finding.kind && (
+                          <span className="text-[10px] text-slate-400">was {FINDING_KIND_STYLES[previous.kind].label}</span>
+                        )}
+                      </div>
+                      <span>{finding.text}</span>
+                    </li>
+                  ))}
+                  {group.items.length === 0 && <li className="text-xs text-slate-400">None</li>}
+                </ul>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-slate-500 bg-white rounded-lg border border-slate-200 p-4">
+            Run the analysis on both drafts to see which findings were resolved, remain open or are new.
+          </p>
+        )}
+
+        <div>
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="font-semibold text-slate-800">What the vendor changed</h3>
+            <label className="flex items-center gap-2 text-xs text-slate-500">
+              <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+              Show unchanged clauses
+            </label>
+          </div>
+          {!clauses ? (
+            <div className="flex justify-center py-8 text-slate-400"><Loader2 className="w-6 h-6 animate-spin" /></div>
+          ) : (
+            <div className="space-y-3">
+              {clauses.filter(pair => showUnchanged || pair.status !== 'unchanged').map((pair, idx) => (
+                <div key={idx} className="bg-white rounded-lg border border-slate-200 p-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <p className="text-sm font-semibold text-slate-700">{(pair.revised || pair.base).heading}</p>
+                    <span className={`text-[10px] font-semibold uppercase tracking-wider px-1.5 py-0.5 rounded ${
+                      pair.status === 'added' ? 'bg-emerald-100 text-emerald-700' :
+                      pair.status === 'removed' ? 'bg-red-100 text-red-700' :
+                      pair.status === 'modified' ? 'bg-blue-100 text-blue-700' :
+                      'bg-slate-100 text-slate-500'
+                    }`}>
+                      {pair.status}
+                    </span>
+                  </div>
+                  <p className="text-sm leading-relaxed text-slate-700">
+                    {pair.runs.map((run, runIdx) => (
+                      <React.Fragment key={runIdx}>
+                        {runIdx > 0 && ' '}
+                        {run.type === 'same' ? run.text :
+                          run.type === 'del' ? <del className="bg-red-100 text-red-700">{run.text}</del> :
+                          <ins className="bg-emerald-100 text-emerald-800 no-underline">{run.text}</ins>}
+                      </React.Fragment>
+                    ))}
+                  </p>
+                </div>
+              ))}
+              {changedCount === 0 && !showUnchanged && (
+                <p className="text-sm text-slate-500">No clause-level changes between these drafts.</p>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const MARKDOWN_HEADING_CLASSES = ['text-base font-bold', 'text-base font-bold', 'text-sm font-bold', 'text-sm font-semibold'];
+
+// Renders parsed Markdown spans. Citations are drawn by `renderCitation`, or dropped without one.
+const renderSpans = (spans, renderCitation) => spans.map((span, idx) => {
+  if (span.type === 'text') return span.text;
+  if (span.type === 'citation') return renderCitation ? <React.Fragment key={idx}>{renderCitation(span.text)}</React.Fragment> : null;
+  if (span.type === 'code') return <code key={idx} className="px-1 py-0.5 rounded bg-black/5 font-mono text-[0.85em]">{span.text}</code>;
+  if (span.type === 'strong') return <strong key={idx} className="font-semibold">{renderSpans(span.spans, renderCitation)}</strong>;
+  if (span.type === 'em') return <em key={idx}>{renderSpans(span.spans, renderCitation)}</em>;
+  return <a key={idx} href={span.href} target="_blank" rel="noopener noreferrer" className="underline underline-offset-2">{renderSpans(span.spans, renderCitation)}</a>;
+});
+
+const MarkdownBlocks = ({ blocks, renderCitation }) => blocks.map((block, idx) => {
+  const inline = (text) => renderSpans(parseInline(text), renderCitation);
+  switch (block.type) {
+    case 'heading':
+      return <p key={idx} className={MARKDOWN_HEADING_CLASSES[Math.min(block.level, 4) - 1]}>{inline(block.text)}</p>;
+    case 'code':
+      return (
+        <pre key={idx} className="p-3 rounded-lg bg-slate-900 text-slate-100 text-xs overflow-x-auto">
+          <code>{block.text}</code>
+        </pre>
+      );
+    case 'quote':
+      return (
+        <blockquote key={idx} className="pl-3 border-l-2 border-slate-300 opacity-80 space-y-2">
+          <MarkdownBlocks blocks={block.blocks} renderCitation={renderCitation} />
+        </blockquote>
+      );
+    case 'rule':
+      return <hr key={idx} className="border-slate-200" />;
+    case 'table':
+      return (
+        <div key={idx} className="overflow-x-auto">
+          <table className="min-w-full text-xs border-collapse">
+            <thead>
+              <tr>
+                {block.header.map((cell, cellIdx) => (
+                  <th key={cellIdx} style={{ textAlign: block.align[cellIdx] }} className="px-2 py-1.5 border-b-2 border-slate-200 font-semibold">{inline(cell)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, rowIdx) => (
+                <tr key={rowIdx}>
+                  {block.header.map((_, cellIdx) => (
+                    <td key={cellIdx} style={{ textAlign: block.align[cellIdx] }} className="px-2 py-1.5 border-b border-slate-100 align-top">{inline(row[cellIdx] || '')}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    case 'list': {
+      const ListTag = block.ordered ? 'ol' : 'ul';
+      return (
+        <ListTag key={idx} start={block.ordered ? block.start : undefined} className={`pl-5 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>
+          {block.items.map((item, itemIdx) => (
+            <li key={itemIdx}>
+              <span className="whitespace-pre-wrap">{inline(item.text)}</span>
+              {item.blocks.length > 0 && (
+                <div className="mt-1 space-y-1">
+                  <MarkdownBlocks blocks={item.blocks} renderCitation={renderCitation} />
+                </div>
+              )}
+            </li>
+          ))}
+        </ListTag>
+      );
+    }
+    default:
+      return <p key={idx} className="whitespace-pre-wrap">{inline(block.text)}</p>;
+  }
+});
+
+const Markdown = ({ text, renderCitation }) => (
+  <div className="space-y-2 break-words">
+    <MarkdownBlocks blocks={parseMarkdown(text)} renderCitation={renderCitation} />
+  </div>
+);
+
+// A numbered reference to a passage a chat reply relies on
+const CitationMarker = ({ citation, onSelect }) => (
+  <button
+    onClick={() => citation.verified && onSelect(citation.id)}
+    className={`mx-0.5 px-1 rounded text-[10px] font-semibold align-super ${
+      citation.verified
+        ? 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+        : 'bg-amber-100 text-amber-700 cursor-help'
+    }`}
+    title={citation.verified ? `Show in document: "${citation.text}"` : `Not found in the contract: "${citation.text}"`}
+  >
+    {citation.number}
+  </button>
+);
+
+const ExportMenu = ({ onExport, formats = REPORT_FORMATS, label = 'Export' }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button 
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center gap-2 px-3 py-2 bg-white border border-slate-200 shadow-sm rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-50 hover:text-blue-600 transition-colors"
+      >
+        <Download className="w-4 h-4" />
+        {label}
+        <ChevronDown className="w-3 h-3 opacity-50 ml-auto" />
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-1 w-44 bg-white border border-slate-200 rounded-lg shadow-lg z-20 py-1">
+          {formats.map(format => (
+            <button
+              key={format.id}
+              onClick={() => { setIsOpen(false); onExport(format); }}
+              className="w-full text-left px-3 py-2 text-sm text-slate-700 hover:bg-slate-50 hover:text-blue-600"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Records the reviewer's decision on a finding
+const DispositionEditor = ({ disposition, reviewerName, onSave }) => {
+  const [draft, setDraft] = useState(null);
+
+  if (draft) {
+    const action = getDispositionAction(draft.action);
+    const canSave = draft.reviewer.trim() && (!action.requiresComment || draft.comment.trim());
+    return (
+      <div className="mt-2 rounded-md border border-slate-200 bg-white/80 p-2 space-y-1.5" onClick={(e) => e.stopPropagation()}>
+        <p className="text-[10px] font-semibold uppercase tracking-wider text-slate-500">{action.label}</p>
+        <textarea
+          value={draft.comment}
+          onChange={(e) => setDraft(prev => ({ ...prev, comment: e.target.value }))}
+          placeholder={action.requiresComment ? 'Justification (required)' : 'Comment, e.g. accepted Net 45 in exchange for a 2% discount'}
+          rows={2}
+          className="w-full p-2 text-xs border border-slate-200 rounded outline-none focus:ring-2 focus:ring-blue-500 resize-y bg-white"
+        />
+        <div className="flex items-center justify-between gap-2">
+          <input
+            value={draft.reviewer}
+            onChange={(e) => setDraft(prev => ({ ...prev, reviewer: e.target.value }))}
+            placeholder="Reviewer name"
+            className="flex-1 p-1 text-xs border border-slate-200 rounded outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+          />
+          <button onClick={() => setDraft(null)} className="px-2 py-0.5 text-xs text-slate-600 hover:bg-slate-100 rounded">
+            Cancel
+          </button>
+          <button
+            onClick={() => {
+              onSave({ action: draft.action, comment: draft.comment.trim(), reviewer: draft.reviewer.trim() });
+              setDraft(null);
+            }}
+            disabled={!canSave}
+            className="px-2 py-0.5 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 rounded disabled:opacity-50"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (disposition) {
+    const action = getDispositionAction(disposition.action);
+    return (
+      <div className="mt-2 flex items-start gap-2 text-xs" onClick={(e) => e.stopPropagation()}>
+        <span className={`shrink-0 px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase tracking-wider ${action.className}`}>
+          {action.label}
+        </span>
+        <span className="flex-1 text-slate-500">
+          {disposition.reviewer} • {formatDateTime(disposition.at)}
+          {disposition.comment && <span className="block text-slate-700">{disposition.comment}</span>}
+        </span>
+        <button
+          onClick={() => setDraft({ action: disposition.action, comment: disposition.comment, reviewer: reviewerName || disposition.reviewer })}
+          className="text-blue-600 hover:underline"
+        >
+          Change
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-2 flex flex-wrap items-center gap-1" onClick={(e) => e.stopPropagation()}>
+      {DISPOSITION_ACTIONS.map(action => (
+        <button
+          key={action.id}
+          onClick={() => setDraft({ action: action.id, comment: '', reviewer: reviewerName })}
+          className="px-2 py-0.5 text-[11px] text-slate-600 bg-white/70 border border-slate-200 rounded-full hover:bg-white hover:text-blue-600 transition-colors"
+        >
+          {action.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// Every recorded change to the review, newest first
+const AuditLogCard = ({ entries }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="rounded-lg border mb-4 overflow-hidden bg-white border-slate-200">
+      <button 
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-4 text-left font-medium text-slate-800 hover:bg-black/5 transition-colors"
+      >
+        <div className="flex items-center gap-3">
+          <History className="w-5 h-5 text-slate-500" />
+          <span>Audit Log</span>
+          <span className="px-2 py-0.5 rounded-full text-xs bg-slate-200 text-slate-700 font-semibold">{entries.length}</span>
+        </div>
+        {isOpen ? <ChevronDown className="w-4 h-4 opacity-50" /> : <ChevronRight className="w-4 h-4 opacity-50" />}
+      </button>
+
+      {isOpen && (
+        <ol className="px-4 pb-4 space-y-2 text-xs">
+          {[...entries].reverse().map((entry, idx) => (
+            <li key={entries.length - idx} className="flex gap-3">
+              <span className="w-36 shrink-0 text-slate-400">{formatDateTime(entry.at)}</span>
+              <span className="w-28 shrink-0 font-medium text-slate-600 truncate">{entry.reviewer || 'System'}</span>
+              <span className="flex-1 text-slate-700">{entry.detail}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+// Proposed counter-language for one finding. The playbook's standard clause is the starting
+// point; the buyer can edit it and accept it into the redline.
+const ReplacementEditor = ({ suggestion, redline, onChange }) => {
+  const text = redline?.text ?? suggestion;
+  const status = redline?.status || 'suggested';
+
+  if (!suggestion && !redline) {
+    return (
+      <button
+        onClick={(e) => { e.stopPropagation(); onChange({ text: '', status: 'editing' }); }}
+        className="mt-1 text-xs text-blue-600 hover:underline"
+      >
+        + Propose replacement language
+      </button>
+    );
+  }
+
+  return (
+    <div className="mt-2 rounded-md border border-slate-200 bg-white/80 p-2" onClick={(e) => e.stopPropagation()}>
+      <div className="flex items-center justify-between mb-1">
+        <p className="text-[10px] font-semibold uppercase tracking-wider text-slate-500">
+          {status === 'accepted' ? 'Accepted replacement' : 'Suggested replacement'}
+        </p>
+        {status === 'accepted' && <CheckCircle className="w-3.5 h-3.5 text-emerald-500" />}
+      </div>
+      {status === 'accepted' ? (
+        <p className="text-xs text-slate-700">{text}</p>
+      ) : (
+        <textarea
+          value={text}
+          onChange={(e) => onChange({ text: e.target.value, status: 'editing' })}
+          rows={3}
+          className="w-full p-2 text-xs border border-slate-200 rounded outline-none focus:ring-2 focus:ring-blue-500 resize-y bg-white"
+        />
+      )}
+      <div className="flex justify-end gap-2 mt-1">
+        {status === 'accepted' ? (
+          <button onClick={() => onChange({ status: 'editing' })} className="px-2 py-0.5 text-xs text-slate-600 hover:bg-slate-100 rounded">
+            Edit
+          </button>
+        ) : (
+          <>
+            {suggestion && text !== suggestion && (
+              <button onClick={() => onChange({ text: suggestion, status: 'suggested' })} className="px-2 py-0.5 text-xs text-slate-600 hover:bg-slate-100 rounded">
+                Reset
+              </button>
+            )}
+            <button
+              onClick={() => onChange({ text, status: 'accepted' })}
+              disabled={!text.trim()}
+              className="px-2 py-0.5 text-xs font-medium text-white bg-emerald-600 hover:bg-emerald-700 rounded disabled:opacity-50"
+            >
+              Accept
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const KeyTermInput = ({ field, value, onCommit, onCancel }) => {
+  const [draft, setDraft] = useState(value ?? '');
+  const commit = () => {
+    const normalized = normalizeKeyTerm(field, draft);
+    if (normalized === undefined) onCancel();
+    else onCommit(normalized);
+  };
+  const inputClasses = 'w-full p-1 text-xs border border-blue-300 rounded outline-none focus:ring-2 focus:ring-blue-500 bg-white';
+
+  if (field.type === 'enum') {
+    return (
+      <select autoFocus value={draft} onChange={(e) => setDraft(e.target.value)} onBlur={commit} className={inputClasses}>
+        <option value="">—</option>
+        {field.options.map(option => <option key={option} value={option}>{formatKeyTerm(field, option)}</option>)}
+      </select>
+    );
+  }
+  return (
+    <input
+      autoFocus
+      type={field.type === 'date' ? 'date' : field.type === 'text' ? 'text' : 'number'}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') onCancel();
+      }}
+      className={inputClasses}
+    />
+  );
+};
 
-const APIKeyModal = ({ onSave }) => {
-  const [key, setKey] = useState('');
+// The extracted deal facts next to the playbook targets. Reviewers correct values in place;
+// corrections are kept separately from what the model extracted.
+const KeyTermsTable = ({ results, onEdit }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const failures = results.filter(r => r.status === 'fail').length;
 
   return (
-    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 backdrop-blur-sm">
-      <div className="bg-white p-8 rounded-xl shadow-2xl max-w-md w-full border border-slate-200">
-        <h2 className="text-2xl font-bold mb-4 text-slate-800">Enter Gemini API Key</h2>
-        <p className="text-sm text-slate-600 mb-6">
-          To analyze contracts, we need a Gemini API key. The key is stored only in your browser's memory.
-        </p>
-        <input
-          type="password"
-          value={key}
-          onChange={(e) => setKey(e.target.value)}
-          placeholder="Paste your API key here..."
-          className="w-full p-3 border border-slate-300 rounded-lg mb-4 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all"
-        />
-        <button
-          onClick={() => key && onSave(key)}
-          disabled={!key}
-          className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
-        >
-          Start Analyzing
-        </button>
-      </div>
+    <div className="rounded-lg border mb-4 overflow-hidden bg-white border-slate-200">
+      <button 
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-4 text-left font-medium text-slate-800 hover:bg-black/5 transition-colors"
+      >
+        <div className="flex items-center gap-3">
+          <Table className="w-5 h-5 text-slate-500" />
+          <span>Key Terms</span>
+          {failures > 0 && (
+            <span className="px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase tracking-wider bg-red-100 text-red-700">
+              {failures} fail
+            </span>
+          )}
+        </div>
+        {isOpen ? <ChevronDown className="w-4 h-4 opacity-50" /> : <ChevronRight className="w-4 h-4 opacity-50" />}
+      </button>
+
+      {isOpen && (
+        <table className="w-full text-xs">
+          <thead className="bg-slate-50 text-slate-500 uppercase tracking-wider text-[10px]">
+            <tr>
+              <th className="text-left font-semibold px-4 py-2">Term</th>
+              <th className="text-left font-semibold px-2 py-2">Contract</th>
+              <th className="text-left font-semibold px-2 py-2">Playbook</th>
+              <th className="px-2 py-2"><span className="sr-only">Result</span></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {results.map(({ field, value, target, edited, status }) => (
+              <tr key={field.id} className={status === 'fail' ? 'bg-red-50/50' : ''}>
+                <td className="px-4 py-2 text-slate-600">{field.label}</td>
+                <td className="px-2 py-2 text-slate-800 font-medium">
+                  {editingId === field.id ? (
+                    <KeyTermInput
+                      field={field}
+                      value={value}
+                      onCommit={(next) => { onEdit(field.id, next); setEditingId(null); }}
+                      onCancel={() => setEditingId(null)}
+                    />
+                  ) : (
+                    <span className="flex items-center gap-1">
+                      <button
+                        onClick={() => setEditingId(field.id)}
+                        className="text-left hover:text-blue-600 hover:underline decoration-dotted"
+                        title="Edit value"
+                      >
+                        {formatKeyTerm(field, value)}
+                      </button>
+                      {edited && (
+                        <button
+                          onClick={() => onEdit(field.id, undefined)}
+                          className="text-[10px] text-blue-600 hover:underline"
+                          title="Revert to the extracted value"
+                        >
+                          edited
+                        </button>
+                      )}
+                    </span>
+                  )}
+                </td>
+                <td className="px-2 py-2 text-slate-500">{formatKeyTermTarget(field, target)}</td>
+                <td className="px-2 py-2 text-right">
+                  {status === 'pass' && <CheckCircle className="w-4 h-4 text-emerald-500 inline" />}
+                  {status === 'fail' && <XCircle className="w-4 h-4 text-red-500 inline" />}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
     </div>
   );
 };
 
-const EmailDraftModal = ({ isOpen, onClose, draft }) => {
-  const [copied, setCopied] = useState(false);
-
-  if (!isOpen) return null;
+const SEVERITY_BADGE_CLASSES = {
+  critical: 'bg-red-100 text-red-700',
+  high: 'bg-orange-100 text-orange-700',
+  medium: 'bg-amber-100 text-amber-700',
+  low: 'bg-slate-100 text-slate-600',
+};
 
-  const handleCopy = () => {
-    navigator.clipboard.writeText(draft);
-    setCopied(true);
-    setTimeout(() => setCopied(false), 2000);
-  };
+// Which findings cost how many points, largest first
+const ScoreBreakdown = ({ score, onSelectFinding }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const lines = [...score.lines].sort((a, b) => b.points - a.points);
 
   return (
-    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 backdrop-blur-sm">
-      <div className="bg-white p-6 rounded-xl shadow-2xl max-w-2xl w-full border border-slate-200 flex flex-col h-[80vh]">
-        <div className="flex justify-between items-center mb-4">
-          <div className="flex items-center gap-2">
-            <div className="p-2 bg-blue-100 rounded-lg">
-                <Mail className="w-5 h-5 text-blue-600" />
-            </div>
-            <h2 className="text-xl font-bold text-slate-800">Negotiation Email Draft</h2>
-          </div>
-          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
-            <X className="w-6 h-6" />
-          </button>
+    <div className="rounded-lg border mb-4 overflow-hidden bg-white border-slate-200">
+      <button 
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-4 text-left font-medium text-slate-800 hover:bg-black/5 transition-colors"
+      >
+        <div className="flex items-center gap-3">
+          <ShieldAlert className="w-5 h-5 text-slate-500" />
+          <span>Score Breakdown</span>
+          <span className="text-xs font-normal text-slate-500">100 − {score.total} = {score.value}</span>
         </div>
-        
-        <div className="flex-1 overflow-hidden flex flex-col bg-slate-50 rounded-lg border border-slate-200 p-4">
-            <p className="text-xs font-medium text-slate-500 mb-2 uppercase tracking-wider">Preview</p>
-            <textarea 
-                className="flex-1 w-full bg-transparent font-mono text-sm resize-none outline-none text-slate-700 leading-relaxed"
-                value={draft}
-                readOnly
-            />
+        {isOpen ? <ChevronDown className="w-4 h-4 opacity-50" /> : <ChevronRight className="w-4 h-4 opacity-50" />}
+      </button>
+
+      {isOpen && (
+        lines.length > 0 ? (
+          <ul className="divide-y divide-slate-100 text-xs">
+            {lines.map(line => (
+              <li key={line.findingId} className={`flex items-start gap-3 px-4 py-2 ${line.points === 0 ? 'opacity-50' : ''}`}>
+                <span className="w-10 shrink-0 text-right font-bold text-red-600">{line.points > 0 ? `−${line.points}` : '0'}</span>
+                <div className="flex-1 min-w-0">
+                  <button
+                    onClick={() => onSelectFinding(line.findingId)}
+                    className="text-left text-slate-700 hover:text-blue-600 hover:underline"
+                  >
+                    {line.text}
+                  </button>
+                  <div className="flex items-center gap-2 mt-0.5 text-[10px] text-slate-500">
+                    <span>{KIND_LABELS[line.kind]}</span>
+                    <span>•</span>
+                    <span>{line.category}</span>
+                    <span className={`px-1 rounded font-semibold uppercase tracking-wider ${SEVERITY_BADGE_CLASSES[line.severity]}`}>{line.severity}</span>
+                    {line.weight !== 1 && <span>× {line.weight}</span>}
+                    {line.duplicate && <span>Already counted for this term</span>}
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="px-4 pb-4 text-sm text-slate-500">No findings, so nothing was deducted.</p>
+        )
+      )}
+    </div>
+  );
+};
+
+// Key dates on a vertical timeline, soonest first
+const DeadlineTimeline = ({ deadlines, missing, onExport }) => {
+  const [isOpen, setIsOpen] = useState(true);
+
+  return (
+    <div className="rounded-lg border mb-4 overflow-hidden bg-white border-slate-200">
+      <button 
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-4 text-left font-medium text-slate-800 hover:bg-black/5 transition-colors"
+      >
+        <div className="flex items-center gap-3">
+          <CalendarClock className="w-5 h-5 text-slate-500" />
+          <span>Key Dates</span>
+          <span className="px-2 py-0.5 rounded-full text-xs bg-slate-200 text-slate-700 font-semibold">{deadlines.length}</span>
         </div>
+        {isOpen ? <ChevronDown className="w-4 h-4 opacity-50" /> : <ChevronRight className="w-4 h-4 opacity-50" />}
+      </button>
 
-        <div className="mt-4 flex justify-end gap-3">
-            <button 
-                onClick={onClose}
-                className="px-4 py-2 text-slate-600 font-medium hover:bg-slate-100 rounded-lg transition-colors"
-            >
-                Close
-            </button>
-            <button 
-                onClick={handleCopy}
-                className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2"
+      {isOpen && (
+        <div className="px-4 pb-4">
+          {deadlines.length > 0 ? (
+            <ol className="relative border-l border-slate-200 ml-2 space-y-4">
+              {deadlines.map(deadline => {
+                const days = daysUntil(deadline.date);
+                const tone = days < 0 ? 'past' : days <= DEADLINE_WARNING_DAYS ? 'soon' : 'upcoming';
+                return (
+                  <li key={deadline.id} className="ml-4">
+                    <span className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border-2 border-white ${
+                      tone === 'past' ? 'bg-slate-300' : tone === 'soon' ? 'bg-red-500' : 'bg-blue-500'
+                    }`} />
+                    <div className="flex items-baseline gap-2 flex-wrap">
+                      <span className={`text-sm font-semibold ${tone === 'past' ? 'text-slate-400' : 'text-slate-800'}`}>{deadline.label}</span>
+                      <span className="text-xs text-slate-500">{parseIsoDate(deadline.date).toLocaleDateString()}</span>
+                      <span className={`text-[10px] font-semibold uppercase tracking-wider ${
+                        tone === 'past' ? 'text-slate-400' : tone === 'soon' ? 'text-red-600' : 'text-blue-600'
+                      }`}>
+                        {days === 0 ? 'Today' : days > 0 ? `In ${days} days` : `${-days} days ago`}
+                      </span>
+                    </div>
+                    <p className="text-xs text-slate-500 mt-0.5">{deadline.description}</p>
+                  </li>
+                );
+              })}
+            </ol>
+          ) : (
+            <p className="text-sm text-slate-500">No dates could be computed from the key terms.</p>
+          )}
+
+          {missing.length > 0 && (
+            <ul className="mt-4 text-xs text-slate-400 space-y-0.5">
+              {missing.map(note => <li key={note}>{note}. Edit the Key Terms to add it.</li>)}
+            </ul>
+          )}
+
+          {deadlines.length > 0 && (
+            <button
+              onClick={onExport}
+              className="mt-4 flex items-center gap-2 px-3 py-1.5 text-xs font-medium bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors"
             >
-                {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
-                {copied ? "Copied!" : "Copy to Clipboard"}
+              <Download className="w-3.5 h-3.5" />
+              Add to Calendar (.ics)
             </button>
+          )}
         </div>
-      </div>
+      )}
     </div>
   );
 };
 
-const AnalysisCard = ({ title, items, type }) => {
+// Ways to group findings in an AnalysisCard. Findings from reviews saved before findings were
+// classified have no severity or category.
+const FINDING_GROUPINGS = {
+  none: { label: 'No grouping' },
+  severity: {
+    label: 'Severity',
+    groupOf: item => ({ key: item.severity || 'unrated', label: item.severity || 'Unrated' }),
+    order: [...SEVERITY_LEVELS, 'unrated'],
+  },
+  category: { label: 'Category', groupOf: item => ({ key: item.category || 'Other', label: item.category || 'Other' }) },
+  term: {
+    label: 'Standard term',
+    groupOf: item => (item.termId
+      ? { key: item.termId, label: item.standardPosition || item.termId }
+      : { key: 'unmapped', label: 'Not mapped to a standard term' }),
+  },
+};
+
+const groupFindings = (items, groupingId) => {
+  const grouping = FINDING_GROUPINGS[groupingId];
+  if (!grouping.groupOf) return [{ key: 'all', label: null, items }];
+  const groups = new Map();
+  items.forEach(item => {
+    const { key, label } = grouping.groupOf(item);
+    if (!groups.has(key)) groups.set(key, { key, label, items: [] });
+    groups.get(key).items.push(item);
+  });
+  const rank = (key) => (grouping.order ? grouping.order.indexOf(key) : 0);
+  return [...groups.values()].sort((a, b) => rank(a.key) - rank(b.key));
+};
+
+// `filterable` adds severity and category filters and grouping for lists of findings
+const AnalysisCard = ({ title, items, type, activeItemId, onSelectItem, renderItemDetails, filterable }) => {
   const [isOpen, setIsOpen] = useState(true);
+  const [groupingId, setGroupingId] = useState('none');
+  const [severityFilter, setSeverityFilter] = useState([]);
+  const [categoryFilter, setCategoryFilter] = useState('');
 
   const getIcon = () => {
     switch (type) {
@@ -149,110 +4663,1067 @@ const AnalysisCard = ({ title, items, type }) => {
     }
   };
 
+  const showControls = filterable && Array.isArray(items) && items.length > 0;
+  const categories = showControls ? [...new Set(items.map(item => item.category || 'Other'))].sort() : [];
+  const visibleItems = showControls
+    ? items.filter(item => (severityFilter.length === 0 || severityFilter.includes(item.severity))
+      && (!categoryFilter || (item.category || 'Other') === categoryFilter))
+    : items;
+
+  const toggleSeverity = (level) => {
+    setSeverityFilter(prev => (prev.includes(level) ? prev.filter(l => l !== level) : [...prev, level]));
+  };
+
+  const renderItem = (item, idx) => (
+    <li
+      key={item.id || idx}
+      onClick={() => item.range && onSelectItem?.(item.id)}
+      className={`flex items-start gap-2 rounded-md -mx-2 px-2 py-1 transition-colors ${
+        item.range && onSelectItem ? 'cursor-pointer hover:bg-black/5' : ''
+      } ${item.id && item.id === activeItemId ? 'bg-black/5 ring-1 ring-slate-400/50' : ''}`}
+      title={item.range && onSelectItem ? 'Show in document' : undefined}
+    >
+      <span className="mt-1.5 w-1.5 h-1.5 rounded-full bg-current opacity-60 shrink-0" />
+      <div className="flex-1">
+        {item.severity && (
+          <span className={`mr-2 inline-block align-middle px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase tracking-wider ${SEVERITY_BADGE_CLASSES[item.severity]}`}>
+            {item.severity}
+          </span>
+        )}
+        <span>{typeof item === 'string' ? item : item.text}</span>
+        {item.source && (
+          <span
+            className={`ml-2 inline-block align-middle px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase tracking-wider ${
+              item.source === 'rule' ? 'bg-slate-800 text-white' : 'bg-white/70 text-slate-500 border border-slate-200'
+            }`}
+            title={item.source === 'rule' ? 'Deterministic rule check: always reported for this text' : 'Model judgement: verify against the contract'}
+          >
+            {item.source === 'rule' ? 'Rule' : 'AI'}
+          </span>
+        )}
+        {item.verified === false && (
+          <span
+            className="ml-1 inline-block align-middle px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase tracking-wider bg-amber-100 text-amber-700"
+            title="The quoted text could not be found in the document. Check the contract manually."
+          >
+            Unverified
+          </span>
+        )}
+        {(item.contractPosition || item.standardPosition) && (
+          <div className="mt-1.5 grid grid-cols-2 gap-2 text-xs">
+            <div>
+              <span className="block text-[10px] font-semibold uppercase tracking-wider text-slate-400">Contract</span>
+              {item.contractPosition || '—'}
+            </div>
+            <div>
+              <span className="block text-[10px] font-semibold uppercase tracking-wider text-slate-400">Standard</span>
+              {item.standardPosition || '—'}
+            </div>
+          </div>
+        )}
+        {item.quote && (
+          <blockquote className="mt-1.5 pl-2 border-l-2 border-slate-300 text-xs text-slate-500 italic">
+            "{item.quote}"
+          </blockquote>
+        )}
+        {(item.page || item.section || item.category) && (
+          <p className="mt-1 text-[10px] font-medium text-slate-400 uppercase tracking-wider">
+            {[item.category, item.page && `Page ${item.page}`, item.section].filter(Boolean).join(' • ')}
+          </p>
+        )}
+        {renderItemDetails?.(item)}
+      </div>
+    </li>
+  );
+
   return (
     <div className={`rounded-lg border mb-4 overflow-hidden ${getBgColor()}`}>
       <button 
         onClick={() => setIsOpen(!isOpen)}
         className="w-full flex items-center justify-between p-4 text-left font-medium text-slate-800 hover:bg-black/5 transition-colors"
       >
-        <div className="flex items-center gap-3">
-          {getIcon()}
-          <span>{title}</span>
+        <div className="flex items-center gap-3">
+          {getIcon()}
+          <span>{title}</span>
+        </div>
+        {isOpen ? <ChevronDown className="w-4 h-4 opacity-50" /> : <ChevronRight className="w-4 h-4 opacity-50" />}
+      </button>
+      
+      {isOpen && (
+        <div className="p-4 pt-0 text-sm text-slate-700 leading-relaxed">
+          {showControls && (
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+              {SEVERITY_LEVELS.map(level => (
+                <button
+                  key={level}
+                  onClick={() => toggleSeverity(level)}
+                  className={`px-2 py-0.5 rounded-full border capitalize transition-colors ${
+                    severityFilter.includes(level) ? 'bg-slate-800 border-slate-800 text-white' : 'bg-white/70 border-slate-200 text-slate-600 hover:bg-white'
+                  }`}
+                >
+                  {level}
+                </button>
+              ))}
+              <select
+                value={categoryFilter}
+                onChange={(e) => setCategoryFilter(e.target.value)}
+                className="p-1 border border-slate-200 rounded-lg outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+              >
+                <option value="">All categories</option>
+                {categories.map(category => <option key={category} value={category}>{category}</option>)}
+              </select>
+              <select
+                value={groupingId}
+                onChange={(e) => setGroupingId(e.target.value)}
+                className="p-1 border border-slate-200 rounded-lg outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+              >
+                {Object.entries(FINDING_GROUPINGS).map(([id, grouping]) => (
+                  <option key={id} value={id}>{id === 'none' ? grouping.label : `Group by ${grouping.label.toLowerCase()}`}</option>
+                ))}
+              </select>
+              {visibleItems.length !== items.length && (
+                <span className="text-slate-500">{visibleItems.length} of {items.length} shown</span>
+              )}
+            </div>
+          )}
+          {Array.isArray(items) ? (
+            groupFindings(visibleItems, showControls ? groupingId : 'none').map(group => (
+              <div key={group.key} className={group.label ? 'mb-3' : ''}>
+                {group.label && (
+                  <p className="mb-1 text-[10px] font-semibold uppercase tracking-wider text-slate-500">
+                    {group.label} ({group.items.length})
+                  </p>
+                )}
+                <ul className="space-y-2">
+                  {group.items.map(renderItem)}
+                </ul>
+              </div>
+            ))
+          ) : (
+            <p>{items}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const PhiScanPanel = ({ scan, locked, onDecide }) => {
+  if (!scan || scan.matches.length === 0) return null;
+
+  if (scan.decision) {
+    return (
+      <div className={`mt-3 w-full flex items-center justify-between gap-2 p-2 rounded-lg border text-xs text-left ${
+        scan.decision === 'redact' ? 'border-amber-200 bg-amber-50 text-amber-800' : 'border-red-200 bg-red-50 text-red-700'
+      }`}>
+        <span>
+          {scan.decision === 'redact'
+            ? `${scan.matches.length} possible patient data value${scan.matches.length === 1 ? '' : 's'} will be redacted. Only the redacted text is sent.`
+            : 'Blocked: this contract will not be sent to the model.'}
+        </span>
+        {!locked && <button onClick={() => onDecide(null)} className="shrink-0 font-medium hover:underline">Change</button>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-3 w-full p-3 rounded-lg border border-red-200 bg-red-50 text-xs text-left">
+      <p className="flex items-center gap-2 font-semibold text-red-700 mb-2">
+        <ShieldAlert className="w-4 h-4" />
+        Possible patient data found ({scan.matches.length})
+      </p>
+      <ul className="space-y-1 mb-2 max-h-32 overflow-y-auto text-slate-700">
+        {scan.matches.map((match, idx) => (
+          <li key={idx}>
+            <span className="font-medium">{match.label}:</span> <code className="px-1 bg-white rounded">{match.value}</code>
+            {match.count > 1 && <span className="text-slate-400"> ×{match.count}</span>}
+          </li>
+        ))}
+      </ul>
+      <p className="text-red-700/80 mb-3">Nothing has been sent yet. Redact these values from the text sent to the model, or block this contract.</p>
+      <div className="flex gap-2">
+        <button
+          onClick={() => onDecide('redact')}
+          className="px-3 py-1 font-medium text-white bg-blue-600 rounded-full hover:bg-blue-700 transition-colors"
+        >
+          Redact &amp; Continue
+        </button>
+        <button
+          onClick={() => onDecide('block')}
+          className="px-3 py-1 font-medium text-red-600 bg-white border border-red-200 rounded-full hover:bg-red-100 transition-colors"
+        >
+          Block Upload
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ProviderSettingsModal = ({ isOpen, onClose, settings, keyRemembered, onSave }) => {
+  const [draft, setDraft] = useState(settings);
+  const [remember, setRemember] = useState(keyRemembered);
+
+  // Start from the saved settings each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setDraft(settings);
+      setRemember(keyRemembered);
+    }
+  }, [isOpen, settings, keyRemembered]);
+
+  if (!isOpen) return null;
+
+  const provider = getProvider(draft.providerId);
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg flex flex-col overflow-hidden animate-in fade-in zoom-in duration-200">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center bg-slate-50">
+          <div className="flex items-center gap-2">
+            <Settings className="w-5 h-5 text-blue-600" />
+            <h3 className="font-bold text-slate-800">Model Settings</h3>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-slate-200 rounded-full transition-colors">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4 text-sm">
+          <label className="block">
+            <span className="text-xs font-semibold text-slate-500 uppercase tracking-wider">Provider</span>
+            <select
+              value={draft.providerId}
+              onChange={(e) => update(defaultProviderSettings(getProvider(e.target.value)))}
+              className="mt-1 w-full p-2 border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+            >
+              {LLM_PROVIDERS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+            </select>
+          </label>
+
+          {provider.id !== 'mock' && (
+            <label className="block">
+              <span className="text-xs font-semibold text-slate-500 uppercase tracking-wider">Model</span>
+              <input
+                type="text"
+                value={draft.model}
+                onChange={(e) => update({ model: e.target.value })}
+                placeholder={provider.defaultModel}
+                className="mt-1 w-full p-2 border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </label>
+          )}
+
+          {provider.defaultEndpoint && (
+            <label className="block">
+              <span className="text-xs font-semibold text-slate-500 uppercase tracking-wider">Endpoint</span>
+              <input
+                type="url"
+                value={draft.endpoint}
+                onChange={(e) => update({ endpoint: e.target.value })}
+                placeholder={provider.defaultEndpoint}
+                className="mt-1 w-full p-2 border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </label>
+          )}
+
+          {provider.usesKey && (
+            <div>
+              <label className="block">
+                <span className="text-xs font-semibold text-slate-500 uppercase tracking-wider">
+                  {provider.keyLabel || 'API Key'}{!provider.keyRequired && ' (optional)'}
+                </span>
+                <input
+                  type="password"
+                  value={draft.apiKey}
+                  onChange={(e) => update({ apiKey: e.target.value })}
+                  placeholder={`Paste your ${(provider.keyLabel || 'API key').toLowerCase()} here...`}
+                  className="mt-1 w-full p-2 border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </label>
+              <label className="flex items-center gap-2 mt-2 text-slate-600">
+                <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+                Remember this {(provider.keyLabel || 'key').toLowerCase()} on this device
+              </label>
+            </div>
+          )}
+
+          {provider.id === 'mock' && (
+            <p className="text-xs text-slate-500">The mock provider returns canned responses without any network access. Use it to try out the app.</p>
+          )}
+          {provider.id === 'proxy' && (
+            <p className="text-xs text-slate-500">Requests go through your organization's proxy, which holds the provider key and tracks usage per reviewer. Use the access token you were issued; leave it empty for a local proxy running without tokens.</p>
+          )}
+          {!provider.readsPdf && provider.id !== 'mock' && (
+            <p className="text-xs text-slate-500">{provider.label} models receive the extracted contract text instead of the original PDF.</p>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-slate-100 bg-slate-50 flex justify-end gap-3">
+          <button onClick={onClose} className="px-4 py-2 text-slate-600 hover:bg-slate-200 rounded-lg font-medium transition-colors">
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave({ ...draft, model: draft.model.trim() || provider.defaultModel, endpoint: draft.endpoint.trim() || provider.defaultEndpoint || '' }, remember)}
+            disabled={provider.keyRequired && !draft.apiKey}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white hover:bg-blue-700 rounded-lg font-medium transition-colors shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Save className="w-4 h-4" />
+            Save Settings
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// One vendor agreement across its negotiation rounds
+const NegotiationModal = ({ isOpen, onClose, thread, rounds, candidates, onAddRound, onSaveResponse }) => {
+  const [responseDrafts, setResponseDrafts] = useState({});
+  const [openEmail, setOpenEmail] = useState(null);
+  const [nextDraftId, setNextDraftId] = useState('');
+
+  if (!isOpen || !thread) return null;
+
+  const { issues, outcomes, pushback } = trackNegotiation(rounds);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 backdrop-blur-sm">
+      <div className="bg-white p-6 rounded-xl shadow-2xl max-w-5xl w-full border border-slate-200 flex flex-col h-[85vh]">
+        <div className="flex justify-between items-center mb-4">
+          <div className="flex items-center gap-2">
+            <div className="p-2 bg-blue-100 rounded-lg">
+                <GitCompare className="w-5 h-5 text-blue-600" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-slate-800">Negotiation: {thread.name}</h2>
+              <p className="text-xs text-slate-500">
+                {rounds.length} round{rounds.length === 1 ? '' : 's'} • started {new Date(thread.createdAt).toLocaleDateString()}
+              </p>
+            </div>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto space-y-6 pr-1">
+          <div className="grid grid-cols-5 gap-3">
+            {[
+              { label: 'Rounds', value: rounds.length, className: 'text-slate-800' },
+              { label: 'Conceded', value: outcomes.conceded, className: 'text-emerald-600' },
+              { label: 'Countered', value: outcomes.countered, className: 'text-red-600' },
+              { label: 'Dropped', value: outcomes.dropped, className: 'text-slate-500' },
+              { label: 'Awaiting Reply', value: outcomes.asked, className: 'text-blue-600' },
+            ].map(stat => (
+              <div key={stat.label} className="bg-white rounded-lg border border-slate-200 p-3 text-center">
+                <p className={`text-2xl font-bold ${stat.className}`}>{stat.value}</p>
+                <p className="text-xs text-slate-500 uppercase tracking-wider">{stat.label}</p>
+              </div>
+            ))}
+          </div>
+
+          {pushback.length > 0 && (
+            <div className="p-3 rounded-lg border border-red-100 bg-red-50 text-sm">
+              <p className="font-semibold text-red-700 mb-2">Vendor pushed back every time on</p>
+              <div className="flex flex-wrap gap-2">
+                {pushback.map(entry => (
+                  <span key={entry.label} className="px-2 py-0.5 rounded-full bg-white border border-red-200 text-xs text-red-700">
+                    {entry.label} ({entry.countered}×)
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="space-y-3">
+            {rounds.map((round, idx) => (
+              <div key={round.contractId} className="rounded-lg border border-slate-200 bg-slate-50 p-4 text-sm">
+                <div className="flex items-center justify-between mb-2">
+                  <p className="font-semibold text-slate-800">
+                    Round {idx + 1}: <span className="font-normal">{round.fileName}</span>
+                  </p>
+                  {round.analysis ? (
+                    <span className={`px-2 py-0.5 rounded-md font-bold text-xs ${getScoreClasses(riskScoreOf(round.analysis), round.analysis.score?.thresholds)}`}>
+                      Score {riskScoreOf(round.analysis) ?? 'n/a'}
+                    </span>
+                  ) : (
+                    <span className="text-xs text-slate-400">Not analyzed yet</span>
+                  )}
+                </div>
+                <div className="grid grid-cols-2 gap-3 text-xs">
+                  <div>
+                    <p className="font-semibold text-slate-500 uppercase tracking-wider text-[10px] mb-1">Our email</p>
+                    {round.outgoing ? (
+                      <>
+                        <p className="text-slate-600">
+                          Sent {formatDateTime(round.outgoing.sentAt)} • {round.outgoing.asks.length} ask{round.outgoing.asks.length === 1 ? '' : 's'}
+                          <button onClick={() => setOpenEmail(openEmail === idx ? null : idx)} className="ml-2 text-blue-600 hover:underline">
+                            {openEmail === idx ? 'Hide' : 'Show'}
+                          </button>
+                        </p>
+                        {openEmail === idx && (
+                          <pre className="mt-2 p-2 max-h-48 overflow-y-auto whitespace-pre-wrap bg-white border border-slate-200 rounded text-[11px] text-slate-700">{round.outgoing.text}</pre>
+                        )}
+                      </>
+                    ) : (
+                      <p className="text-slate-400">Not sent. Use Draft Email on this round's report and log it as sent.</p>
+                    )}
+                  </div>
+                  <div>
+                    <p className="font-semibold text-slate-500 uppercase tracking-wider text-[10px] mb-1">Vendor response</p>
+                    {round.response ? (
+                      <p className="text-slate-600 whitespace-pre-wrap">
+                        <span className="block text-slate-400">Received {formatDateTime(round.response.receivedAt)}</span>
+                        {round.response.text}
+                      </p>
+                    ) : round.outgoing ? (
+                      <div className="flex flex-col gap-1">
+                        <textarea
+                          value={responseDrafts[idx] || ''}
+                          onChange={(e) => setResponseDrafts(prev => ({ ...prev, [idx]: e.target.value }))}
+                          placeholder="Paste the vendor's reply"
+                          rows={3}
+                          className="w-full p-2 border border-slate-300 rounded outline-none focus:ring-2 focus:ring-blue-500 resize-y bg-white"
+                        />
+                        <button
+                          onClick={() => onSaveResponse(idx, responseDrafts[idx].trim())}
+                          disabled={!responseDrafts[idx]?.trim()}
+                          className="self-end px-2 py-0.5 font-medium text-white bg-blue-600 hover:bg-blue-700 rounded disabled:opacity-50"
+                        >
+                          Save Response
+                        </button>
+                      </div>
+                    ) : (
+                      <p className="text-slate-400">—</p>
+                    )}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <label className="flex items-center gap-2 text-xs text-slate-500">
+            Add the vendor's next draft
+            <select
+              value={nextDraftId}
+              onChange={(e) => setNextDraftId(e.target.value)}
+              className="p-1 text-xs border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500 bg-white max-w-[240px]"
+            >
+              <option value="">Select uploaded draft…</option>
+              {candidates.map(contract => <option key={contract.id} value={contract.id}>{contract.file.name}</option>)}
+            </select>
+            <button
+              onClick={() => {
+                onAddRound(nextDraftId);
+                setNextDraftId('');
+              }}
+              disabled={!nextDraftId}
+              className="px-2 py-1 font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+            >
+              Add Round {rounds.length + 1}
+            </button>
+          </label>
+
+          {issues.length > 0 && (
+            <table className="w-full text-xs bg-white rounded-lg border border-slate-200 overflow-hidden">
+              <thead className="bg-slate-50 text-slate-500 uppercase tracking-wider text-[10px]">
+                <tr>
+                  <th className="text-left font-semibold px-3 py-2">Issue</th>
+                  {rounds.map((round, idx) => (
+                    <th key={round.contractId} className="font-semibold px-2 py-2">Round {idx + 1}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {issues.map((issue, issueIdx) => (
+                  <tr key={issueIdx}>
+                    <td className="px-3 py-2 text-slate-700">
+                      {issue.text}
+                      <span className="block text-[10px] text-slate-400">{issue.category}</span>
+                    </td>
+                    {issue.statuses.map((status, idx) => (
+                      <td key={idx} className="px-2 py-2 text-center">
+                        {status && (
+                          <span className={`px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase tracking-wider ${NEGOTIATION_STATUSES[status].className}`}>
+                            {NEGOTIATION_STATUSES[status].label}
+                          </span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const HistorySidebar = ({ isOpen, onClose, reviews, onOpen, onDelete }) => {
+  const [query, setQuery] = useState('');
+
+  if (!isOpen) return null;
+
+  const needle = query.trim().toLowerCase();
+  const matches = reviews.filter(review => !needle || [
+    review.fileName,
+    review.analysis.summary,
+    review.analysis.playbook?.name,
+    getContractType(review.analysis.playbook?.contractType).label,
+  ].some(value => value?.toLowerCase().includes(needle)));
+
+  return (
+    <div className="fixed inset-0 bg-black/30 flex justify-end z-40 backdrop-blur-sm" onClick={onClose}>
+      <aside
+        className="bg-white w-full max-w-sm h-full shadow-2xl flex flex-col animate-in slide-in-from-right duration-300"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center bg-slate-50">
+          <div className="flex items-center gap-2">
+            <History className="w-5 h-5 text-blue-600" />
+            <h3 className="font-bold text-slate-800">Review History</h3>
+            <span className="text-xs text-slate-400">({reviews.length})</span>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-slate-200 rounded-full transition-colors">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
         </div>
-        {isOpen ? <ChevronDown className="w-4 h-4 opacity-50" /> : <ChevronRight className="w-4 h-4 opacity-50" />}
-      </button>
-      
-      {isOpen && (
-        <div className="p-4 pt-0 text-sm text-slate-700 leading-relaxed">
-          {Array.isArray(items) ? (
-            <ul className="space-y-2">
-              {items.map((item, idx) => (
-                <li key={idx} className="flex items-start gap-2">
-                  <span className="mt-1.5 w-1.5 h-1.5 rounded-full bg-current opacity-60 shrink-0" />
-                  <span>{item}</span>
-                </li>
-              ))}
-            </ul>
-          ) : (
-            <p>{items}</p>
-          )}
+
+        <div className="p-4 border-b border-slate-100">
+          <div className="relative">
+            <Search className="w-4 h-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search by file, summary or type..."
+              className="w-full pl-9 pr-3 py-2 text-sm border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+            />
+          </div>
         </div>
-      )}
+
+        <ul className="flex-1 overflow-y-auto divide-y divide-slate-100">
+          {matches.length === 0 && (
+            <li className="p-6 text-center text-sm text-slate-400">
+              {reviews.length === 0 ? 'Finished reviews will appear here.' : 'No reviews match your search.'}
+            </li>
+          )}
+          {matches.map(review => (
+            <li
+              key={review.id}
+              onClick={() => onOpen(review)}
+              className="group p-4 cursor-pointer hover:bg-slate-50 transition-colors"
+            >
+              <div className="flex items-start justify-between gap-2">
+                <p className="font-medium text-sm text-slate-700 truncate">{review.fileName}</p>
+                <button
+                  onClick={(e) => { e.stopPropagation(); onDelete(review); }}
+                  className="p-1 text-slate-300 hover:text-red-600 opacity-0 group-hover:opacity-100 transition-all"
+                  title="Delete from history"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+              <div className="flex items-center gap-2 mt-1 text-xs text-slate-500">
+                <span className={`px-1.5 py-0.5 rounded font-bold ${getScoreClasses(riskScoreOf(review.analysis), review.analysis.score?.thresholds)}`}>
+                  {riskScoreOf(review.analysis) ?? '—'}
+                </span>
+                <span>{getContractType(review.analysis.playbook?.contractType).label}</span>
+                <span>• {review.analysis.redFlags.length} red flags</span>
+              </div>
+              <p className="mt-1 text-[10px] text-slate-400">
+                Reviewed {formatDateTime(review.analysis.reviewedAt || review.savedAt)}
+                {review.chatHistory.length > 1 && ` • ${review.chatHistory.length - 1} chat messages`}
+              </p>
+            </li>
+          ))}
+        </ul>
+      </aside>
     </div>
   );
 };
 
 export default function App() {
-  const [apiKey, setApiKey] = useState('');
-  const [file, setFile] = useState(null);
-  const [analyzing, setAnalyzing] = useState(false);
-  const [analysis, setAnalysis] = useState(null);
-  const [chatHistory, setChatHistory] = useState([]);
+  const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+  const [apiKeyRemembered, setApiKeyRemembered] = useState(() => !!localStorage.getItem(API_KEY_STORAGE_KEY));
+  const [reviewerName, setReviewerName] = useState(() => localStorage.getItem(REVIEWER_STORAGE_KEY) || '');
+  const [showSettings, setShowSettings] = useState(false);
+  const [contracts, setContracts] = useState([]);
+  const [activeContractId, setActiveContractId] = useState(null);
+  const [showPortfolio, setShowPortfolio] = useState(false);
+  const [comparison, setComparison] = useState(null);
   const [inputMessage, setInputMessage] = useState('');
   const [dragActive, setDragActive] = useState(false);
-  const [genAI, setGenAI] = useState(null);
-  const [chatSession, setChatSession] = useState(null);
   const [showEmailModal, setShowEmailModal] = useState(false);
+  const [playbookVersions, setPlaybookVersions] = useState(loadPlaybookVersions);
+  const [showPlaybookEditor, setShowPlaybookEditor] = useState(false);
+  const [editorType, setEditorType] = useState(DEFAULT_CONTRACT_TYPE);
+  const [showViewer, setShowViewer] = useState(true);
+  const [activeFindingId, setActiveFindingId] = useState(null);
+  const [copiedMessage, setCopiedMessage] = useState(null);
+  const [reviews, setReviews] = useState([]);
+  const [negotiations, setNegotiations] = useState(loadNegotiations);
+  const [emailTemplates, setEmailTemplates] = useState(loadEmailTemplates);
+  const [showNegotiation, setShowNegotiation] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
   const chatEndRef = useRef(null);
+  // Last saved snapshot of each contract, so only reviews that changed are written back
+  const savedReviews = useRef(new Map());
+  // Abort controllers of chat replies that are still streaming, by contract
+  const chatControllers = useRef(new Map());
 
-  // Initialize Gemini Client
-  useEffect(() => {
-    if (apiKey) {
-      const genAIInstance = new GoogleGenerativeAI(apiKey);
-      setGenAI(genAIInstance);
+  // Everything below the queue works on the contract that is currently open
+  const activeContract = contracts.find(c => c.id === activeContractId) || null;
+  const file = activeContract?.file || null;
+  const analysis = activeContract?.analysis || null;
+  const chatHistory = activeContract?.chatHistory || [];
+  const contractDoc = activeContract?.doc || null;
+  const contractDetection = activeContract?.detection || null;
+  const contractTypeOverride = activeContract?.typeOverride || '';
+  const analyzing = activeContract?.status === 'analyzing';
+  const replyStreaming = chatHistory.some(msg => msg.streaming);
+
+  const updateContract = (id, changes) => {
+    setContracts(prev => prev.map(c => (c.id === id ? { ...c, ...(typeof changes === 'function' ? changes(c) : changes) } : c)));
+  };
+
+  const latestPlaybook = (typeId) => playbookVersions[typeId][playbookVersions[typeId].length - 1];
+
+  // The reviewer's override wins over the classifier
+  const activeType = analysis?.playbook?.contractType || contractTypeOverride || contractDetection?.typeId || DEFAULT_CONTRACT_TYPE;
+  const activePlaybook = latestPlaybook(activeType);
+
+  const openPlaybookEditor = (typeId = activeType) => {
+    setEditorType(typeId);
+    setShowPlaybookEditor(true);
+  };
+
+  const handleSavePlaybook = (terms, scoring) => {
+    setPlaybookVersions(savePlaybookVersion(playbookVersions, editorType, terms, scoring));
+    setShowPlaybookEditor(false);
+  };
+
+  const provider = getProvider(providerSettings.providerId);
+  const providerReady = !provider.keyRequired || !!providerSettings.apiKey;
+
+  // All model calls go through the configured provider
+  const complete = (request) => provider.complete(providerSettings, request);
+
+  const saveSettings = (settings, remember) => {
+    saveProviderSettings(settings);
+    if (remember && settings.apiKey) {
+      localStorage.setItem(API_KEY_STORAGE_KEY, settings.apiKey);
+    } else {
+      localStorage.removeItem(API_KEY_STORAGE_KEY);
     }
-  }, [apiKey]);
+    setApiKeyRemembered(remember && !!settings.apiKey);
+    setProviderSettings(settings);
+    setShowSettings(false);
+  };
+
+  const saveApiKey = (key, remember) => saveSettings({ ...providerSettings, apiKey: key }, remember);
+
+  const forgetApiKey = () => {
+    localStorage.removeItem(API_KEY_STORAGE_KEY);
+    setApiKeyRemembered(false);
+  };
+
+  const refreshReviews = () => listReviews()
+    .then(setReviews)
+    .catch(error => console.error("Error loading review history:", error));
+
+  useEffect(() => {
+    refreshReviews();
+  }, []);
+
+  // Persist finished reviews as their chat and redlines change. Replies are saved once they
+  // finish streaming rather than on every token.
+  useEffect(() => {
+    contracts.filter(c => c.status === 'done' && !c.chatHistory.some(msg => msg.streaming)).forEach(contract => {
+      const saved = savedReviews.current.get(contract.id);
+      if (saved && REVIEW_FIELDS.every(key => saved[key] === contract[key])) return;
+      savedReviews.current.set(contract.id, contract);
+      saveReview(toReviewRecord(contract))
+        .then(refreshReviews)
+        .catch(error => console.error("Error saving review history:", error));
+    });
+  }, [contracts]);
 
   // Auto-scroll chat
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [chatHistory]);
 
-  // Helper: Convert File to Base64
-  const fileToGenerativePart = async (file) => {
-    const base64EncodedDataPromise = new Promise((resolve) => {
-      const reader = new FileReader();
-      reader.onloadend = () => resolve(reader.result.split(',')[1]);
-      reader.readAsDataURL(file);
+  // Start queued contracts as analysis slots free up
+  useEffect(() => {
+    if (!providerReady) return;
+    const running = contracts.filter(c => c.status === 'analyzing').length;
+    contracts
+      .filter(c => c.status === 'pending' && c.queued)
+      .slice(0, Math.max(0, MAX_CONCURRENT_ANALYSES - running))
+      .forEach(analyzeContract);
+  }, [contracts, providerReady]);
+
+  // The exact playbook version an analysis was run against
+  const getReviewedPlaybook = (reviewed) => {
+    const typeId = reviewed.playbook?.contractType || activeType;
+    return playbookVersions[typeId].find(p => p.version === reviewed.playbook?.version) || latestPlaybook(typeId);
+  };
+
+  const suggestionFor = (finding) => standardLanguageFor(getReviewedPlaybook(analysis).terms.find(term => term.id === finding.termId));
+
+  const rememberReviewer = (name) => {
+    setReviewerName(name);
+    localStorage.setItem(REVIEWER_STORAGE_KEY, name);
+  };
+
+  // Asks for the reviewer's name the first time a change needs one for the audit log
+  const requireReviewer = () => {
+    if (reviewerName) return reviewerName;
+    const name = window.prompt("Your name for the audit log:")?.trim();
+    if (name) rememberReviewer(name);
+    return name || null;
+  };
+
+  const updateRedline = (findingId, changes) => {
+    // Keystrokes aren't logged, only accepted language
+    const reviewer = changes.status === 'accepted' ? requireReviewer() : null;
+    if (changes.status === 'accepted' && !reviewer) return;
+    updateContract(activeContractId, c => ({
+      redlines: { ...c.redlines, [findingId]: { ...c.redlines[findingId], ...changes } },
+      ...(reviewer ? appendAudit(c, {
+        reviewer,
+        event: 'redline',
+        findingId,
+        detail: `Accepted replacement language: "${changes.text}"`,
+      }) : {}),
+    }));
+  };
+
+  // Reviewer corrections to the extracted key terms; undefined reverts to the extracted value
+  const updateKeyTerm = (fieldId, value) => {
+    const field = KEY_TERM_FIELDS.find(f => f.id === fieldId);
+    const reviewer = requireReviewer();
+    if (!reviewer) return;
+    updateContract(activeContractId, c => {
+      const keyTermEdits = { ...c.keyTermEdits };
+      if (value === undefined) delete keyTermEdits[fieldId];
+      else keyTermEdits[fieldId] = value;
+      return {
+        keyTermEdits,
+        ...appendAudit(c, {
+          reviewer,
+          event: 'key-term',
+          detail: value === undefined
+            ? `Reverted ${field.label} to the extracted value`
+            : `Set ${field.label} to ${formatKeyTerm(field, value)}`,
+        }),
+      };
     });
-    return {
-      inlineData: { data: await base64EncodedDataPromise, mimeType: file.type },
-    };
   };
 
-  const generateEmailDraft = () => {
-    if (!analysis) return "";
-    
-    const issuesList = analysis.inconsistencies && analysis.inconsistencies.length > 0 
-        ? analysis.inconsistencies.map(i => `• ${i}`).join('\n') 
-        : "None identified.";
-    
-    const redFlagsList = analysis.redFlags && analysis.redFlags.length > 0
-        ? analysis.redFlags.map(r => `• ${r}`).join('\n')
-        : "None identified.";
+  const decideFinding = (finding, { action, comment, reviewer }) => {
+    if (reviewer !== reviewerName) rememberReviewer(reviewer);
+    updateContract(activeContractId, c => ({
+      dispositions: { ...c.dispositions, [finding.id]: { action, comment, reviewer, at: new Date().toISOString() } },
+      ...appendAudit(c, {
+        reviewer,
+        event: 'disposition',
+        findingId: finding.id,
+        detail: `${getDispositionAction(action).label}: ${finding.text}${comment ? ` (${comment})` : ''}`,
+      }),
+    }));
+  };
 
-    return `Subject: Contract Review - ${file?.name || 'Agreement'} - Health Future Findings
+  const changeReviewStatus = (statusId) => {
+    const undecided = analysis.redFlags.filter(finding => !activeContract.dispositions[finding.id]);
+    if (statusId === 'approved' && undecided.length > 0
+      && !window.confirm(`${undecided.length} red flag${undecided.length === 1 ? ' has' : 's have'} no disposition yet. Approve anyway?`)) return;
+    const reviewer = requireReviewer();
+    if (!reviewer) return;
+    updateContract(activeContractId, c => ({
+      reviewStatus: statusId,
+      ...appendAudit(c, {
+        reviewer,
+        event: 'status',
+        detail: `Changed status from ${getReviewStatus(c.reviewStatus).label} to ${getReviewStatus(statusId).label}`,
+      }),
+    }));
+  };
+
+  const acceptedRedlines = analysis
+    ? findingsOf(analysis).filter(finding => activeContract.redlines[finding.id]?.status === 'accepted')
+    : [];
 
-Dear Vendor Team,
+  // Export the accepted replacements as tracked changes against the vendor's text
+  const exportRedline = async () => {
+    try {
+      const edits = acceptedRedlines.map(finding => ({ range: finding.range, text: activeContract.redlines[finding.id].text }));
+      const blob = await buildRedlineDocx(contractDoc, edits, 'Health Future Supply Chain');
+      downloadBlob(blob, `${baseName(file.name)} - Health Future redline.docx`);
+      const skipped = edits.filter(edit => edit.range).length - applicableEdits(edits).length;
+      if (skipped > 0) {
+        alert(`${skipped} accepted replacement${skipped === 1 ? ' was' : 's were'} left out of the redline because ${skipped === 1 ? 'it overlaps' : 'they overlap'} another replacement's passage. Combine them into one replacement to include them.`);
+      }
+    } catch (error) {
+      console.error("Error exporting redline:", error);
+      alert("Failed to export the redline. Please check the console for details.");
+    }
+  };
 
-Thank you for providing the draft agreement. We have completed our initial review against Health Future's standard supply chain terms.
+  const exportReport = async (format) => {
+    try {
+      const blob = await format.build(buildReportData(activeContract, getReviewedPlaybook(analysis)));
+      downloadBlob(blob, `${baseName(file.name)} - Review Report.${format.extension}`);
+    } catch (error) {
+      console.error("Error exporting report:", error);
+      alert("Failed to export the report. Please check the console for details.");
+    }
+  };
 
-While much of the agreement looks acceptable, we have identified specific areas where the terms deviate from our required standards (Net 30 payment, FOB Destination, Cyber Liability Limits, etc.) or require clarification.
+  const exportDeadlines = () => {
+    const { deadlines } = buildDeadlines(keyTermValues(analysis, activeContract.keyTermEdits));
+    const blob = buildDeadlinesIcs(deadlines, { contractName: file.name, uidSeed: activeContract.fileHash || activeContract.id });
+    downloadBlob(blob, `${baseName(file.name)} - Key Dates.ics`);
+  };
 
-EXECUTIVE SUMMARY:
-${analysis.summary}
+  const activeNegotiation = negotiationOf(negotiations, activeContractId);
+  const activeRound = activeNegotiation?.rounds.find(round => round.contractId === activeContractId);
 
-CRITICAL ITEMS FOR RESOLUTION (Red Flags):
-${redFlagsList}
+  const storeNegotiations = (threads) => setNegotiations(saveNegotiations(threads));
 
-STANDARD TERMS ALIGNMENT NEEDED:
-${issuesList}
+  const updateNegotiation = (threadId, changes) => {
+    storeNegotiations(negotiations.map(thread => (thread.id === threadId ? { ...thread, ...changes(thread) } : thread)));
+  };
 
-Please review these points and let us know if you can update the draft to align with our standard requirements.
+  const startNegotiation = () => {
+    storeNegotiations([...negotiations, createNegotiation(activeContract)]);
+    setShowNegotiation(true);
+  };
 
-Best regards,
+  // Records the email as this round's message to the vendor, starting a thread if there is none
+  const logEmailSent = (text) => {
+    const reviewer = requireReviewer();
+    if (!reviewer) return;
+    const asks = asksFrom(analysis, activeContract.dispositions);
+    const thread = activeNegotiation || createNegotiation(activeContract);
+    const rounds = thread.rounds.map(round => (round.contractId === activeContractId
+      ? { ...round, outgoing: { text, sentAt: new Date().toISOString(), asks } }
+      : round));
+    storeNegotiations(activeNegotiation
+      ? negotiations.map(t => (t.id === thread.id ? { ...thread, rounds } : t))
+      : [...negotiations, { ...thread, rounds }]);
+    updateContract(activeContractId, c => appendAudit(c, {
+      reviewer,
+      event: 'negotiation',
+      detail: `Logged email to the vendor asking for ${asks.length} change${asks.length === 1 ? '' : 's'}`,
+    }));
+  };
+
+  // Negotiation changes are logged on the contract they were made from, like sent emails
+  const addNegotiationRound = (contractId) => {
+    const reviewer = requireReviewer();
+    if (!reviewer) return;
+    const contract = contracts.find(c => c.id === contractId);
+    updateNegotiation(activeNegotiation.id, thread => ({ rounds: [...thread.rounds, newRound(contract)] }));
+    updateContract(activeContractId, c => appendAudit(c, {
+      reviewer,
+      event: 'negotiation',
+      detail: `Added ${contract.file.name} as negotiation round ${activeNegotiation.rounds.length + 1}`,
+    }));
+  };
+
+  const saveVendorResponse = (roundIdx, text) => {
+    const reviewer = requireReviewer();
+    if (!reviewer) return;
+    updateNegotiation(activeNegotiation.id, thread => ({
+      rounds: thread.rounds.map((round, idx) => (idx === roundIdx ? { ...round, response: { text, receivedAt: new Date().toISOString() } } : round)),
+    }));
+    updateContract(activeContractId, c => appendAudit(c, {
+      reviewer,
+      event: 'negotiation',
+      detail: `Recorded the vendor's response to round ${roundIdx + 1} (${activeNegotiation.rounds[roundIdx].fileName})`,
+    }));
+  };
+
+  // Rounds with the analysis of their draft, from the open contracts or review history
+  const negotiationRounds = activeNegotiation?.rounds.map(round => ({
+    ...round,
+    analysis: (contracts.find(c => c.id === round.contractId) || reviews.find(r => r.id === round.contractId))?.analysis || null,
+  })) || [];
+
+  const renderFindingDetails = (finding) => (
+    <>
+      <DispositionEditor
+        disposition={activeContract.dispositions[finding.id]}
+        reviewerName={reviewerName}
+        onSave={(disposition) => decideFinding(finding, disposition)}
+      />
+      <ReplacementEditor
+        suggestion={suggestionFor(finding)}
+        redline={activeContract.redlines[finding.id]}
+        onChange={(changes) => updateRedline(finding.id, changes)}
+      />
+    </>
+  );
+
+  const emailDefaults = (() => {
+    const sender = parseMailbox(activeContract?.coverNote?.from);
+    return { to: sender.address, vendorContact: sender.name };
+  })();
+
+  // Template values for the active review, quoting the playbook the analysis was run against
+  const emailValuesFor = ({ vendorContact, responseDeadline }) => buildEmailValues({
+    analysis,
+    dispositions: activeContract.dispositions,
+    redlines: activeContract.redlines,
+    playbook: getReviewedPlaybook(analysis),
+    contractName: file.name,
+    vendorContact,
+    responseDeadline,
+    reviewerName,
+  });
+
+  const reportPdfAttachment = async () => {
+    const blob = await buildReportPdf(buildReportData(activeContract, getReviewedPlaybook(analysis)));
+    return { name: `${baseName(file.name)} - Review Report.pdf`, mimeType: 'application/pdf', blob };
+  };
+
+  const exportEmailEml = async (email) => {
+    try {
+      const report = await reportPdfAttachment();
+      const eml = buildEml({ ...email, attachments: [{ ...report, data: await readFileBase64(report.blob) }] });
+      downloadBlob(eml, `${baseName(file.name)} - Email.eml`);
+    } catch (error) {
+      console.error("Error exporting email:", error);
+      alert("Failed to export the email. Please check the console for details.");
+    }
+  };
+
+  // mailto links can't carry attachments, so the report is downloaded next to the new message
+  const openEmailInMail = async (email) => {
+    try {
+      const report = await reportPdfAttachment();
+      downloadBlob(report.blob, report.name);
+    } catch (error) {
+      console.error("Error exporting report:", error);
+    }
+    window.location.href = buildMailto(email);
+  };
+
+  // Add files to the queue and extract their text in the background so each contract type can
+  // be detected before the reviewer runs the analysis
+  const addFiles = (newFiles) => {
+    const accepted = newFiles.filter(f => uploadFormatOf(f));
+    const rejected = newFiles.filter(f => !uploadFormatOf(f));
+    if (rejected.length > 0) {
+      alert(`Please upload PDF, Word, text, image or email files. Skipped: ${rejected.map(f => f.name).join(', ')}`);
+    }
+    if (accepted.length === 0) return;
+
+    const added = accepted.map(newFile => ({
+      id: `contract-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+      file: newFile,
+      status: 'pending',
+      queued: false,
+      error: null,
+      progress: null,
+      doc: null,
+      coverNote: null,
+      phiScan: null,
+      detection: null,
+      typeOverride: '',
+      analysis: null,
+      chatHistory: [],
+      redlines: {},
+      keyTermEdits: {},
+      dispositions: {},
+      reviewStatus: 'draft',
+      auditLog: [],
+      fileHash: null,
+    }));
+    setContracts(prev => [...prev, ...added]);
+    if (!activeContract || added.length === 1) openContract(added[0].id);
+
+    added.forEach(contract => {
+      prepareContract(contract.file, progress => updateContract(contract.id, { progress }))
+        .then(({ file: contractFile, coverNote, doc, phiScan }) => {
+          updateContract(contract.id, { file: contractFile, coverNote, doc, phiScan, progress: null, detection: classifyContractType(doc.text) });
+          return hashFile(contractFile);
+        })
+        .then(fileHash => updateContract(contract.id, { fileHash }))
+        .catch(error => {
+          console.error("Error reading contract:", error);
+          updateContract(contract.id, { status: 'failed', progress: null, error: error.message });
+        });
+    });
+  };
+
+  const openReview = (record) => {
+    if (!contracts.some(c => c.id === record.id)) {
+      const contract = fromReviewRecord(record);
+      savedReviews.current.set(contract.id, contract);
+      setContracts(prev => [...prev, contract]);
+    }
+    openContract(record.id);
+    setShowHistory(false);
+  };
+
+  const removeReview = async (record) => {
+    if (!confirm(`Delete the review of ${record.fileName} from history?`)) return;
+    try {
+      await deleteReview(record.id);
+      refreshReviews();
+    } catch (error) {
+      console.error("Error deleting review:", error);
+    }
+  };
+
+  const decidePhi = (decision) => {
+    updateContract(activeContractId, c => ({ phiScan: { ...c.phiScan, decision } }));
+  };
+
+  // The header badge reports the scan result of the open contract
+  const phiScan = activeContract?.phiScan;
+  const phiBadge = !file ? { label: 'No Contract Loaded', className: 'text-slate-400' }
+    : !phiScan ? { label: 'Scanning for Patient Data...', className: 'text-slate-400' }
+      : phiScan.matches.length === 0 ? { label: 'No Patient Data Detected', className: 'text-emerald-300' }
+        : phiScan.decision === 'redact' ? { label: `Patient Data Redacted (${phiScan.matches.length})`, className: 'text-amber-300' }
+          : phiScan.decision === 'block' ? { label: 'Blocked: Patient Data Found', className: 'text-red-300' }
+            : { label: `Possible Patient Data (${phiScan.matches.length})`, className: 'text-red-300' };
+
+  const openContract = (id) => {
+    setActiveContractId(id);
+    setActiveFindingId(null);
+    setShowPortfolio(false);
+    setComparison(null);
+  };
+
+  // Compare an earlier draft of the same agreement with the one currently open
+  const openComparison = (baseId) => {
+    setShowPortfolio(false);
+    setComparison({ baseId, revisedId: activeContractId });
+  };
+
+  const comparedBase = comparison && contracts.find(c => c.id === comparison.baseId);
+  const comparedRevised = comparison && contracts.find(c => c.id === comparison.revisedId);
+  const showComparison = !!(comparedBase && comparedRevised);
 
-Health Future Supply Chain Team`;
+  const removeContract = (id) => {
+    const remaining = contracts.filter(c => c.id !== id);
+    setContracts(remaining);
+    if (id === activeContractId) openContract(remaining[0]?.id || null);
+    if (comparison && (comparison.baseId === id || comparison.revisedId === id)) setComparison(null);
+  };
+
+  // Contracts with unresolved patient data stay out of the queue until the reviewer decides
+  const queueContracts = (ids) => {
+    setContracts(prev => prev.map(c => (ids.includes(c.id) && (c.status === 'pending' || c.status === 'failed') && phiCleared(c)
+      ? { ...c, status: 'pending', queued: true, error: null }
+      : c)));
   };
 
   // Handle File Drop
@@ -261,98 +5732,200 @@ Health Future Supply Chain Team`;
     e.stopPropagation();
     setDragActive(false);
     
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      const droppedFile = e.dataTransfer.files[0];
-      if (droppedFile.type === 'application/pdf' || droppedFile.type === 'text/plain') {
-        setFile(droppedFile);
-        // Reset state for new file
-        setAnalysis(null);
-        setChatHistory([]);
-        setChatSession(null);
-      } else {
-        alert("Please upload a PDF or Text file.");
-      }
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+      addFiles(Array.from(e.dataTransfer.files));
     }
   };
 
-  // Start Analysis
-  const startAnalysis = async () => {
-    if (!file || !genAI) return;
-    setAnalyzing(true);
+  // Analyze one contract from the queue. Progress and results are written back to that
+  // contract, so the reviewer can keep working on another one in the meantime.
+  const analyzeContract = async (contract) => {
+    const { id } = contract;
+    updateContract(id, { status: 'analyzing', queued: false, progress: 'Reading contract...' });
 
     try {
-      // Using the specific preview model that supports the required features
-      const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash-preview-09-2025" });
-      const filePart = await fileToGenerativePart(file);
+      const prepared = contract.doc ? contract : await prepareContract(contract.file, progress => updateContract(id, { progress }));
+      const { file, coverNote, doc, phiScan } = prepared;
+
+      // Stop before anything is sent if the scan found patient data the reviewer hasn't resolved
+      if (!phiCleared(prepared)) {
+        updateContract(id, { status: 'pending', progress: null, file, coverNote, doc, phiScan, detection: classifyContractType(doc.text) });
+        return;
+      }
+
+      // Classify the contract first so it is checked against the matching playbook
+      const contractType = contract.typeOverride || (contract.detection || classifyContractType(doc.text)).typeId;
+      const playbook = latestPlaybook(contractType);
+
+      // Run the deterministic checks first so the model doesn't repeat them
+      const ruleFindings = runRuleEngine(doc, playbook);
 
       // Prompt for initial analysis
-      const prompt = `
-        Here is the uploaded supply chain contract. 
-        Compare it strictly against these STANDARD TERMS (derived from Health Future Template):
-        ${STANDARD_TERMS}
-        
-        Provide the analysis in the requested JSON format.
-      `;
+      const prompt = buildAnalysisPrompt(playbook, ruleFindings);
 
-      // Start chat session with history
-      const history = [
-        {
-          role: "user",
-          parts: [{ text: SYSTEM_PROMPT }, filePart, { text: prompt }],
-        },
-      ];
+      const firstTurn = await buildFirstTurn({ file, doc, coverNote, phiScan }, prompt);
+      updateContract(id, { progress: `Waiting for ${provider.label}...` });
+      const response = await requestAnalysis(complete, buildSystemPrompt(playbook), firstTurn, (attempt, text) => {
+        const received = (text.match(/"finding"/g) || []).length;
+        updateContract(id, {
+          progress: `${attempt > 1 ? `Repairing response (attempt ${attempt})` : 'Receiving analysis'}: ${received} finding${received === 1 ? '' : 's'} so far`,
+        });
+      });
+      if (response.fatal) {
+        throw new Error(`The model's response could not be used after ${response.attempts} attempts: ${response.errors.join('; ')}`);
+      }
+      const modelOutput = response.value;
 
-      const session = model.startChat({ history: [] });
-      
-      // We send the first message with the file and prompt
-      const result = await session.sendMessage([
-        { text: SYSTEM_PROMPT },
-        filePart, 
-        { text: prompt }
-      ]);
-      
-      const responseText = result.response.text();
-      
-      // Try to parse JSON from the response (handle potential markdown wrapping)
-      let jsonStr = responseText.replace(/```json/g, '').replace(/```/g, '').trim();
-      const analysisData = JSON.parse(jsonStr);
+      const analysisData = {
+        ...modelOutput,
+        redFlags: [...ruleFindings, ...toAIFindings(modelOutput.redFlags, doc, playbook)]
+          .map((finding, idx) => ({ ...classifyFinding(finding, 'redFlag', playbook), id: `red-flag-${idx + 1}` })),
+        inconsistencies: toAIFindings(modelOutput.inconsistencies, doc, playbook)
+          .map((finding, idx) => ({ ...classifyFinding(finding, 'deviation', playbook), id: `deviation-${idx + 1}` })),
+        playbook: { id: playbook.id, name: playbook.name, version: playbook.version, contractType },
+        reviewedAt: new Date().toISOString(),
+        model: { provider: provider.label, name: providerSettings.model },
+        // Problems that remained after repair; the usable parts of the analysis are still shown
+        warnings: response.errors,
+      };
+      analysisData.score = scoreAnalysis(analysisData, playbook);
 
-      setAnalysis(analysisData);
-      setChatSession(session);
-      
-      // Add initial AI greeting to chat
-      setChatHistory([{
-        role: 'model',
-        text: `I've analyzed ${file.name} against the Health Future standards. I found ${analysisData.inconsistencies.length} inconsistencies and ${analysisData.redFlags.length} red flags.`
-      }]);
+      updateContract(id, c => ({
+        ...appendAudit(c, {
+          event: 'analysis',
+          detail: `Analyzed with ${provider.label} (${providerSettings.model}) against ${playbook.name} v${playbook.version}: score ${analysisData.score.value}, ${analysisData.redFlags.length} red flags, ${analysisData.inconsistencies.length} deviations`,
+        }),
+        status: 'done',
+        progress: null,
+        file,
+        coverNote,
+        doc,
+        phiScan,
+        analysis: analysisData,
+        // Add initial AI greeting to chat
+        chatHistory: [{
+          role: 'model',
+          at: new Date().toISOString(),
+          text: `I've analyzed ${file.name} as a ${getContractType(contractType).label} against the Health Future standards. I found ${analysisData.inconsistencies.length} inconsistencies and ${analysisData.redFlags.length} red flags (${ruleFindings.length} confirmed by rule checks).`
+        }],
+      }));
 
     } catch (error) {
       console.error("Error analyzing contract:", error);
-      alert("Failed to analyze the contract. Please check the console for details or try again.");
+      updateContract(id, { status: 'failed', progress: null, error: error.message || "Failed to analyze the contract." });
+    }
+  };
+
+  // Select a finding from the report or the viewer; the viewer scrolls to its passage
+  const selectFinding = (findingId) => {
+    setShowViewer(true);
+    setActiveFindingId(findingId);
+  };
+
+  // Providers are stateless, so every question replays the analysis turn and the transcript.
+  // This also lets reviews reopened from history continue their chat.
+  const buildChatMessages = async (contract, transcript) => {
+    const reviewed = contract.analysis;
+    const playbook = getReviewedPlaybook(reviewed);
+    const ruleFindings = reviewed.redFlags.filter(f => f.source === 'rule');
+    const priorOutput = {
+      summary: reviewed.summary,
+      overallScore: reviewed.overallScore,
+      redFlags: reviewed.redFlags.filter(f => f.source !== 'rule').map(f => f.text),
+      inconsistencies: reviewed.inconsistencies.map(f => f.text),
+      keyTerms: reviewed.keyTerms,
+    };
+
+    return [
+      await buildFirstTurn(contract, buildAnalysisPrompt(playbook, ruleFindings)),
+      { role: 'assistant', parts: [{ text: JSON.stringify(priorOutput) }] },
+      // The first transcript entry is the local greeting, not a model turn
+      ...transcript.slice(1).map(msg => ({ role: msg.role === 'model' ? 'assistant' : 'user', parts: [{ text: msg.text }] })),
+    ];
+  };
+
+  // Stream a reply to the last question in the transcript into a new model message. Replies
+  // land in the contract the question was asked about, even if another one is opened.
+  const streamReply = async (contract, transcript) => {
+    const { id } = contract;
+    const controller = new AbortController();
+    chatControllers.current.set(id, controller);
+    const updateReply = (changes) => updateContract(id, c => ({
+      chatHistory: [...c.chatHistory.slice(0, -1), { ...c.chatHistory[c.chatHistory.length - 1], ...changes }],
+    }));
+    updateContract(id, { chatHistory: [...transcript, { role: 'model', text: '', at: new Date().toISOString(), streaming: true }] });
+
+    try {
+      const text = await complete({
+        system: buildSystemPrompt(getReviewedPlaybook(contract.analysis)),
+        messages: await buildChatMessages(contract, transcript),
+        signal: controller.signal,
+        onToken: (partial) => updateReply({ text: partial }),
+      });
+      updateReply({ text, streaming: false });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        updateReply({ streaming: false, stopped: true });
+      } else {
+        console.error("Chat error:", error);
+        updateReply({ text: "Sorry, I encountered an error processing that request.", streaming: false });
+      }
     } finally {
-      setAnalyzing(false);
+      chatControllers.current.delete(id);
     }
   };
 
   // Handle Chat Message
-  const handleSendMessage = async () => {
-    if (!inputMessage.trim() || !chatSession) return;
+  const handleSendMessage = (question = inputMessage) => {
+    if (!question.trim() || !activeContract?.analysis || replyStreaming) return;
 
-    const userMsg = inputMessage;
-    setInputMessage('');
-    setChatHistory(prev => [...prev, { role: 'user', text: userMsg }]);
+    if (question === inputMessage) setInputMessage('');
+    streamReply(activeContract, [...chatHistory, { role: 'user', text: question, at: new Date().toISOString() }]);
+  };
+
+  const copyMessage = (idx) => {
+    navigator.clipboard.writeText(messageMarkdown(buildTranscriptData(activeContract).messages[idx]));
+    setCopiedMessage(idx);
+    setTimeout(() => setCopiedMessage(null), 2000);
+  };
 
+  const exportTranscript = async (format) => {
     try {
-      const result = await chatSession.sendMessage(userMsg);
-      const responseText = result.response.text();
-      setChatHistory(prev => [...prev, { role: 'model', text: responseText }]);
+      const blob = await format.build(buildTranscriptData(activeContract));
+      downloadBlob(blob, `${baseName(file.name)} - Chat Transcript.${format.extension}`);
     } catch (error) {
-      console.error("Chat error:", error);
-      setChatHistory(prev => [...prev, { role: 'model', text: "Sorry, I encountered an error processing that request." }]);
+      console.error("Error exporting transcript:", error);
+      alert("Failed to export the transcript. Please check the console for details.");
     }
   };
 
-  if (!apiKey) return <APIKeyModal onSave={setApiKey} />;
+  // Citations of each model reply, looked up in the contract so they can be opened in the viewer
+  const groundedReplies = chatHistory.map((msg, idx) => (msg.role === 'model' && idx > 0 && contractDoc
+    ? groundReply(contractDoc, msg.text, `citation-${idx}`)
+    : null));
+  const activeCitation = groundedReplies.flatMap(reply => reply?.citations || []).find(citation => citation.id === activeFindingId);
+
+  const suggestedQuestions = analysis && !replyStreaming ? suggestQuestions(analysis, getReviewedPlaybook(analysis), chatHistory) : [];
+
+  const stopReply = () => chatControllers.current.get(activeContractId)?.abort();
+
+  // Ask the last question again, replacing the model's last reply
+  const regenerateReply = () => streamReply(activeContract, chatHistory.slice(0, -1));
+
+  if (!providerReady) {
+    return (
+      <>
+        <APIKeyModal providerLabel={provider.label} onSave={saveApiKey} onOpenSettings={() => setShowSettings(true)} />
+        <ProviderSettingsModal
+          isOpen={showSettings}
+          onClose={() => setShowSettings(false)}
+          settings={providerSettings}
+          keyRemembered={apiKeyRemembered}
+          onSave={saveSettings}
+        />
+      </>
+    );
+  }
 
   return (
     <div className="min-h-screen bg-slate-50 text-slate-900 font-sans flex flex-col h-screen">
@@ -367,15 +5940,48 @@ Health Future Supply Chain Team`;
             <p className="text-xs text-slate-400">Health Future • AI Contract Reviewer</p>
           </div>
         </div>
-        <div className="text-sm text-slate-400 bg-slate-800 px-3 py-1 rounded-full">
-          Secure Environment • No Patient Data
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => openPlaybookEditor()}
+            className="flex items-center gap-2 text-sm text-slate-300 hover:text-white bg-slate-800 hover:bg-slate-700 px-3 py-1 rounded-full transition-colors"
+          >
+            <BookOpen className="w-4 h-4" />
+            Playbooks
+          </button>
+          <button
+            onClick={() => setShowSettings(true)}
+            className="flex items-center gap-2 text-sm text-slate-300 hover:text-white bg-slate-800 hover:bg-slate-700 px-3 py-1 rounded-full transition-colors"
+            title={`${provider.label} • ${providerSettings.model}`}
+          >
+            <Settings className="w-4 h-4" />
+            {provider.label}
+          </button>
+          <button
+            onClick={() => setShowHistory(true)}
+            className="flex items-center gap-2 text-sm text-slate-300 hover:text-white bg-slate-800 hover:bg-slate-700 px-3 py-1 rounded-full transition-colors"
+          >
+            <History className="w-4 h-4" />
+            History
+          </button>
+          {apiKeyRemembered && (
+            <button
+              onClick={forgetApiKey}
+              className="p-1.5 text-slate-400 hover:text-white bg-slate-800 hover:bg-slate-700 rounded-full transition-colors"
+              title="Forget the API key saved on this device"
+            >
+              <KeyRound className="w-4 h-4" />
+            </button>
+          )}
+          <div className={`text-sm bg-slate-800 px-3 py-1 rounded-full ${phiBadge.className}`}>
+            Secure Environment • {phiBadge.label}
+          </div>
         </div>
       </header>
 
       <main className="flex-1 flex overflow-hidden">
         
         {/* Left Panel: File & Analysis */}
-        <div className="w-1/3 min-w-[400px] border-r border-slate-200 bg-white flex flex-col overflow-y-auto">
+        <div className={`${file && showViewer && !showPortfolio && !showComparison ? 'w-[30%]' : 'w-1/3'} min-w-[400px] border-r border-slate-200 bg-white flex flex-col overflow-y-auto`}>
           
           {/* Upload Zone */}
           <div className="p-6 border-b border-slate-100">
@@ -392,28 +5998,101 @@ Health Future Supply Chain Team`;
               {file ? (
                 <div className="flex flex-col items-center animate-in fade-in zoom-in duration-300">
                   <div className="w-12 h-12 bg-blue-100 text-blue-600 rounded-full flex items-center justify-center mb-3">
-                    <File className="w-6 h-6" />
+                    <FileIcon className="w-6 h-6" />
                   </div>
                   <p className="font-medium text-slate-700 truncate max-w-[250px]">{file.name}</p>
-                  <p className="text-xs text-slate-500 mb-4">{(file.size / 1024 / 1024).toFixed(2)} MB</p>
+                  <p className="text-xs text-slate-500 mb-3">{(file.size / 1024 / 1024).toFixed(2)} MB</p>
+                  {activeContract.coverNote && (
+                    <p className="flex items-center gap-1 text-xs text-slate-500 -mt-2 mb-3 max-w-[250px] truncate">
+                      <Mail className="w-3 h-3 shrink-0" />
+                      From {activeContract.coverNote.fileName}
+                    </p>
+                  )}
+                  {contractDoc?.ocrPages?.length > 0 && (
+                    <p className="text-[10px] text-amber-600 -mt-2 mb-3">
+                      Text on {contractDoc.ocrPages.length} page{contractDoc.ocrPages.length === 1 ? ' was' : 's was'} read with OCR. Check quotes against the original.
+                    </p>
+                  )}
+                  <label className="flex items-center gap-2 text-xs text-slate-500 mb-4">
+                    Contract type
+                    <select
+                      value={contractTypeOverride || 'auto'}
+                      onChange={(e) => updateContract(activeContractId, { typeOverride: e.target.value === 'auto' ? '' : e.target.value })}
+                      disabled={activeContract.status !== 'pending' && activeContract.status !== 'failed'}
+                      className="p-1 text-xs border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500 bg-white disabled:opacity-60"
+                    >
+                      <option value="auto">
+                        {contractDetection ? `Auto: ${getContractType(contractDetection.typeId).label}` : 'Auto-detect'}
+                      </option>
+                      {CONTRACT_TYPES.map(type => <option key={type.id} value={type.id}>{type.label}</option>)}
+                    </select>
+                  </label>
+                  {!contractTypeOverride && contractDetection?.confidence === 'low' && (
+                    <p className="text-[10px] text-amber-600 -mt-3 mb-4">Low confidence detection. Please confirm the contract type.</p>
+                  )}
                   <div className="flex gap-2">
                     <button 
-                      onClick={() => setFile(null)} 
+                      onClick={() => removeContract(activeContractId)} 
                       className="px-3 py-1 text-xs font-medium text-red-600 bg-red-50 rounded-full hover:bg-red-100 transition-colors"
                     >
                       Remove
                     </button>
+                    {!showViewer && (
+                      <button 
+                        onClick={() => setShowViewer(true)} 
+                        className="px-3 py-1 text-xs font-medium text-slate-600 bg-white border border-slate-200 rounded-full hover:bg-slate-50 transition-colors flex items-center gap-1"
+                      >
+                        <Eye className="w-3 h-3" />
+                        View
+                      </button>
+                    )}
                     {!analysis && (
                       <button 
-                        onClick={startAnalysis}
-                        disabled={analyzing}
-                        className="px-4 py-1 text-xs font-medium text-white bg-blue-600 rounded-full hover:bg-blue-700 transition-colors flex items-center gap-2"
+                        onClick={() => queueContracts([activeContractId])}
+                        disabled={analyzing || activeContract.queued || !phiCleared(activeContract)}
+                        className="px-4 py-1 text-xs font-medium text-white bg-blue-600 rounded-full hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-60 disabled:cursor-not-allowed"
                       >
-                        {analyzing && <Loader2 className="w-3 h-3 animate-spin" />}
-                        {analyzing ? "Analyzing..." : "Run Analysis"}
+                        {(analyzing || activeContract.queued) && <Loader2 className="w-3 h-3 animate-spin" />}
+                        {analyzing ? "Analyzing..." : activeContract.queued ? "Queued..." : activeContract.status === 'failed' ? "Retry Analysis" : "Run Analysis"}
                       </button>
                     )}
                   </div>
+                  <PhiScanPanel scan={phiScan} locked={!!analysis} onDecide={decidePhi} />
+                  {activeContract.progress && (
+                    <p className="mt-3 text-xs text-slate-500">{activeContract.progress}</p>
+                  )}
+                  {activeContract.status === 'failed' && (
+                    <p className="mt-3 text-xs text-red-600">{activeContract.error}</p>
+                  )}
+                  {contracts.length > 1 && (
+                    <label className="mt-4 flex items-center gap-2 text-xs text-slate-500">
+                      <GitCompare className="w-3 h-3" />
+                      Compare with earlier draft
+                      <select
+                        value={showComparison && comparison.revisedId === activeContractId ? comparison.baseId : ''}
+                        onChange={(e) => (e.target.value ? openComparison(e.target.value) : setComparison(null))}
+                        className="p-1 text-xs border border-slate-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500 bg-white max-w-[160px]"
+                      >
+                        <option value="">Select draft…</option>
+                        {contracts.filter(c => c.id !== activeContractId).map(c => (
+                          <option key={c.id} value={c.id}>{c.file.name}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  <label className="mt-4 text-xs text-blue-600 hover:underline cursor-pointer">
+                    + Add more contracts
+                    <input 
+                      type="file" 
+                      multiple
+                      className="hidden" 
+                      accept={UPLOAD_ACCEPT}
+                      onChange={(e) => {
+                        addFiles(Array.from(e.target.files || []));
+                        e.target.value = '';
+                      }}
+                    />
+                  </label>
                 </div>
               ) : (
                 <>
@@ -421,17 +6100,15 @@ Health Future Supply Chain Team`;
                     <Upload className="w-6 h-6" />
                   </div>
                   <h3 className="font-semibold text-slate-700 mb-1">Upload Contract</h3>
-                  <p className="text-sm text-slate-500 mb-4">Drag PDF here or click to browse</p>
+                  <p className="text-sm text-slate-500 mb-4">Drag PDFs, Word files, scans or forwarded emails here or click to browse</p>
                   <input 
                     type="file" 
+                    multiple
                     className="absolute inset-0 w-full h-full opacity-0 cursor-pointer" 
-                    accept=".pdf,.txt"
+                    accept={UPLOAD_ACCEPT}
                     onChange={(e) => {
-                      if(e.target.files?.[0]) {
-                        setFile(e.target.files[0]);
-                        setAnalysis(null);
-                        setChatHistory([]);
-                      }
+                      addFiles(Array.from(e.target.files || []));
+                      e.target.value = '';
                     }}
                   />
                 </>
@@ -439,6 +6116,85 @@ Health Future Supply Chain Team`;
             </div>
           </div>
 
+          {/* Review Queue */}
+          {contracts.length > 1 && (
+            <div className="px-6 py-4 border-b border-slate-100">
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-xs font-semibold uppercase tracking-wider text-slate-500">
+                  Queue ({contracts.filter(c => c.status === 'done').length}/{contracts.length} done)
+                </p>
+                <div className="flex gap-2">
+                  {contracts.some(c => ((c.status === 'pending' && !c.queued) || c.status === 'failed') && phiCleared(c)) && (
+                    <button
+                      onClick={() => queueContracts(contracts.map(c => c.id))}
+                      className="flex items-center gap-1 px-2 py-1 text-xs font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors"
+                    >
+                      <Play className="w-3 h-3" />
+                      Run All
+                    </button>
+                  )}
+                  <button
+                    onClick={() => { setComparison(null); setShowPortfolio(true); }}
+                    className={`flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-md border transition-colors ${
+                      showPortfolio ? 'bg-slate-800 text-white border-slate-800' : 'text-slate-600 border-slate-200 hover:bg-slate-50'
+                    }`}
+                  >
+                    <Table className="w-3 h-3" />
+                    Portfolio
+                  </button>
+                </div>
+              </div>
+              <ul className="space-y-1 max-h-48 overflow-y-auto">
+                {contracts.map(contract => (
+                  <li
+                    key={contract.id}
+                    onClick={() => openContract(contract.id)}
+                    className={`flex items-center justify-between gap-2 px-2 py-1.5 rounded-md text-sm cursor-pointer transition-colors ${
+                      contract.id === activeContractId && !showPortfolio ? 'bg-blue-50 text-blue-700' : 'text-slate-700 hover:bg-slate-50'
+                    }`}
+                  >
+                    <span className="truncate">{contract.file.name}</span>
+                    <StatusBadge contract={contract} />
+                  </li>
+                ))}
+              </ul>
+              <p className="mt-2 text-[10px] text-slate-400">Up to {MAX_CONCURRENT_ANALYSES} contracts are analyzed at a time.</p>
+            </div>
+          )}
+
+          {/* Upload Context: cover note, tracked changes and comments */}
+          {file && (activeContract.coverNote || contractDoc?.revisions?.length > 0 || contractDoc?.comments?.length > 0) && (
+            <div className="px-6 pt-4 border-b border-slate-100">
+              {activeContract.coverNote && (
+                <AnalysisCard
+                  title={`Vendor Cover Note: ${activeContract.coverNote.subject || '(no subject)'}`}
+                  items={activeContract.coverNote.body || 'The email has no message body.'}
+                  type="info"
+                />
+              )}
+              {contractDoc?.revisions?.length > 0 && (
+                <AnalysisCard
+                  title={`Tracked Changes (${contractDoc.revisions.length})`}
+                  items={contractDoc.revisions.map(revision => ({
+                    text: `${revision.type === 'insertion' ? 'Inserted' : 'Deleted'} by ${revision.author || 'unknown'}${revision.date ? ` on ${new Date(revision.date).toLocaleDateString()}` : ''}`,
+                    quote: revision.text.trim(),
+                  }))}
+                  type="info"
+                />
+              )}
+              {contractDoc?.comments?.length > 0 && (
+                <AnalysisCard
+                  title={`Comments (${contractDoc.comments.length})`}
+                  items={contractDoc.comments.map(comment => ({
+                    text: `${comment.author || 'Unknown'}: ${comment.text}`,
+                    quote: comment.anchor,
+                  }))}
+                  type="info"
+                />
+              )}
+            </div>
+          )}
+
           {/* Analysis Results */}
           <div className="p-6 flex-1">
             {!analysis ? (
@@ -448,13 +6204,17 @@ Health Future Supply Chain Team`;
                 </div>
                 <p className="text-sm">Upload a contract to see analysis against Health Future standards.</p>
                 <div className="mt-8 text-xs text-left bg-slate-50 p-4 rounded border border-slate-100 w-full max-w-xs">
-                  <p className="font-semibold mb-2 text-slate-600">Checking against:</p>
+                  <div className="flex items-center justify-between mb-2">
+                    <p className="font-semibold text-slate-600">Checking against:</p>
+                    <button onClick={() => openPlaybookEditor()} className="text-blue-600 hover:underline">
+                      Edit v{activePlaybook.version}
+                    </button>
+                  </div>
+                  <p className="mb-2 text-slate-500">{getContractType(activeType).label}</p>
                   <ul className="list-disc pl-4 space-y-1 opacity-70">
-                    <li>Payment: Net 30</li>
-                    <li>FOB: Destination (No fees)</li>
-                    <li>Term: 90 days convenience</li>
-                    <li>Cyber Ins: $10M Limit</li>
-                    <li>Gov Law: Oregon</li>
+                    {activePlaybook.terms.filter(term => term.checklist).map(term => (
+                      <li key={term.id}>{term.checklist}</li>
+                    ))}
                   </ul>
                 </div>
               </div>
@@ -464,36 +6224,111 @@ Health Future Supply Chain Team`;
                 <div className="flex items-center justify-between mb-6">
                   <div>
                     <h3 className="text-lg font-bold text-slate-800">Analysis Report</h3>
-                    <div className={`inline-flex items-center gap-2 px-2 py-0.5 rounded-md font-bold text-xs mt-1 ${
-                        analysis.overallScore > 80 ? 'bg-emerald-100 text-emerald-700' : 
-                        analysis.overallScore > 50 ? 'bg-amber-100 text-amber-700' : 
-                        'bg-red-100 text-red-700'
-                    }`}>
-                        Score: {analysis.overallScore}/100
+                    <div className={`inline-flex items-center gap-2 px-2 py-0.5 rounded-md font-bold text-xs mt-1 ${getScoreClasses(riskScoreOf(analysis), analysis.score?.thresholds)}`}>
+                        Score: {riskScoreOf(analysis) === null ? 'n/a' : `${riskScoreOf(analysis)}/100`}
+                    </div>
+                    {analysis.score && analysis.overallScore !== null && (
+                      <span className="ml-2 text-xs text-slate-400" title="The model's own estimate. It is not used for the score.">
+                        Model: {analysis.overallScore}
+                      </span>
+                    )}
+                    {analysis.playbook && (
+                      <span className="ml-2 text-xs text-slate-500">
+                        Reviewed against {analysis.playbook.name} v{analysis.playbook.version}
+                      </span>
+                    )}
+                    <div className="flex items-center gap-2 mt-2 text-xs text-slate-500">
+                      Status
+                      <select
+                        value={activeContract.reviewStatus}
+                        onChange={(e) => changeReviewStatus(e.target.value)}
+                        className={`px-2 py-0.5 font-semibold border rounded-md outline-none focus:ring-2 focus:ring-blue-500 ${getReviewStatus(activeContract.reviewStatus).className}`}
+                      >
+                        {REVIEW_STATUSES.map(status => <option key={status.id} value={status.id}>{status.label}</option>)}
+                      </select>
+                      <span>
+                        {Object.keys(activeContract.dispositions).length} of {findingsOf(analysis).length} findings decided
+                      </span>
                     </div>
                   </div>
                   
-                  <button 
-                    onClick={() => setShowEmailModal(true)}
-                    className="flex items-center gap-2 px-3 py-2 bg-white border border-slate-200 shadow-sm rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-50 hover:text-blue-600 transition-colors"
-                  >
-                    <Mail className="w-4 h-4" />
-                    Draft Email
-                  </button>
+                  <div className="flex flex-col gap-2">
+                    <button 
+                      onClick={() => setShowEmailModal(true)}
+                      className="flex items-center gap-2 px-3 py-2 bg-white border border-slate-200 shadow-sm rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-50 hover:text-blue-600 transition-colors"
+                    >
+                      <Mail className="w-4 h-4" />
+                      Draft Email
+                    </button>
+                    <ExportMenu onExport={exportReport} />
+                    <button 
+                      onClick={activeNegotiation ? () => setShowNegotiation(true) : startNegotiation}
+                      className="flex items-center gap-2 px-3 py-2 bg-white border border-slate-200 shadow-sm rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-50 hover:text-blue-600 transition-colors"
+                    >
+                      <GitCompare className="w-4 h-4" />
+                      {activeNegotiation
+                        ? `Negotiation (Round ${activeNegotiation.rounds.indexOf(activeRound) + 1})`
+                        : 'Start Negotiation'}
+                    </button>
+                    {acceptedRedlines.length > 0 && (
+                      <button 
+                        onClick={exportRedline}
+                        className="flex items-center gap-2 px-3 py-2 bg-white border border-slate-200 shadow-sm rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-50 hover:text-blue-600 transition-colors"
+                        title="Word document with accepted replacements as tracked changes"
+                      >
+                        <FileDown className="w-4 h-4" />
+                        Redline ({acceptedRedlines.length})
+                      </button>
+                    )}
+                  </div>
                 </div>
 
+                {analysis.warnings?.length > 0 && (
+                  <div className="p-3 rounded-lg border border-amber-200 bg-amber-50 text-xs text-amber-800">
+                    <p className="flex items-center gap-2 font-semibold mb-1">
+                      <AlertTriangle className="w-4 h-4" />
+                      The model's response was only partially usable
+                    </p>
+                    <ul className="list-disc pl-5 space-y-0.5">
+                      {analysis.warnings.map((warning, idx) => <li key={idx}>{warning}</li>)}
+                    </ul>
+                  </div>
+                )}
+
                 <div className="space-y-4">
                   <AnalysisCard 
                     title="Executive Summary" 
                     items={analysis.summary} 
                     type="info" 
                   />
+
+                  {analysis.score && (
+                    <ScoreBreakdown score={analysis.score} onSelectFinding={selectFinding} />
+                  )}
+
+                  {analysis.keyTerms && (
+                    <KeyTermsTable
+                      results={keyTermResults(analysis, activeContract.keyTermEdits, getReviewedPlaybook(analysis))}
+                      onEdit={updateKeyTerm}
+                    />
+                  )}
+
+                  {analysis.keyTerms && (
+                    <DeadlineTimeline
+                      {...buildDeadlines(keyTermValues(analysis, activeContract.keyTermEdits))}
+                      onExport={exportDeadlines}
+                    />
+                  )}
                   
                   {analysis.redFlags.length > 0 && (
                     <AnalysisCard 
                       title={`Red Flags (${analysis.redFlags.length})`} 
                       items={analysis.redFlags} 
+                      filterable
                       type="danger" 
+                      activeItemId={activeFindingId}
+                      onSelectItem={selectFinding}
+                      renderItemDetails={renderFindingDetails}
                     />
                   )}
 
@@ -501,7 +6336,11 @@ Health Future Supply Chain Team`;
                     <AnalysisCard 
                       title={`Standard Deviations (${analysis.inconsistencies.length})`} 
                       items={analysis.inconsistencies} 
+                      filterable
                       type="warning" 
+                      activeItemId={activeFindingId}
+                      onSelectItem={selectFinding}
+                      renderItemDetails={renderFindingDetails}
                     />
                   )}
 
@@ -510,14 +6349,50 @@ Health Future Supply Chain Team`;
                     items="The remaining terms appear to align with standard healthcare supply chain provisions." 
                     type="success" 
                   />
+
+                  <AuditLogCard entries={activeContract.auditLog} />
                 </div>
               </div>
             )}
           </div>
         </div>
 
+        {/* Portfolio replaces the document and chat panels while open */}
+        {showPortfolio && (
+          <PortfolioTable
+            contracts={contracts}
+            activeContractId={activeContractId}
+            onOpen={openContract}
+          />
+        )}
+
+        {/* Draft comparison also replaces the document and chat panels */}
+        {showComparison && (
+          <ComparisonView
+            base={comparedBase}
+            revised={comparedRevised}
+            onClose={() => setComparison(null)}
+          />
+        )}
+
+        {/* Middle Panel: Document Viewer */}
+        {!showPortfolio && !showComparison && file && showViewer && (
+          <DocumentViewer
+            file={file}
+            doc={contractDoc}
+            findings={analysis ? [
+              ...analysis.redFlags.map(finding => ({ ...finding, tone: 'danger' })),
+              ...analysis.inconsistencies.map(finding => ({ ...finding, tone: 'warning' })),
+              ...(activeCitation ? [{ ...activeCitation, tone: 'citation' }] : []),
+            ] : []}
+            activeFindingId={activeFindingId}
+            onSelectFinding={setActiveFindingId}
+            onClose={() => setShowViewer(false)}
+          />
+        )}
+
         {/* Right Panel: Chat */}
-        <div className="flex-1 flex flex-col bg-slate-50 h-full">
+        <div className={`${showPortfolio || showComparison ? 'hidden' : file && showViewer ? 'w-[30%] min-w-[360px]' : 'flex-1'} flex flex-col bg-slate-50 h-full`}>
           {/* Chat Feed */}
           <div className="flex-1 p-6 overflow-y-auto">
             {chatHistory.length === 0 ? (
@@ -528,6 +6403,11 @@ Health Future Supply Chain Team`;
               </div>
             ) : (
               <div className="space-y-6 max-w-3xl mx-auto">
+                {chatHistory.length > 1 && !replyStreaming && (
+                  <div className="flex justify-end">
+                    <ExportMenu onExport={exportTranscript} formats={TRANSCRIPT_FORMATS} label="Save transcript" />
+                  </div>
+                )}
                 {chatHistory.map((msg, idx) => (
                   <div key={idx} className={`flex gap-4 ${msg.role === 'user' ? 'flex-row-reverse' : ''}`}>
                     <div className={`w-8 h-8 rounded-full flex items-center justify-center shrink-0 ${
@@ -540,7 +6420,77 @@ Health Future Supply Chain Team`;
                         ? 'bg-blue-600 text-white rounded-tr-none' 
                         : 'bg-white text-slate-800 border border-slate-200 rounded-tl-none'
                     }`}>
-                      <p className="whitespace-pre-wrap">{msg.text}</p>
+                      {msg.streaming && !msg.text ? (
+                        <span className="flex items-center gap-2 text-slate-400">
+                          <Loader2 className="w-4 h-4 animate-spin" />
+                          Thinking...
+                        </span>
+                      ) : groundedReplies[idx] ? (
+                        <>
+                          <Markdown
+                            text={msg.text}
+                            renderCitation={(quote) => {
+                              const citation = groundedReplies[idx].citations.find(c => c.text === quote);
+                              return citation && <CitationMarker citation={citation} onSelect={selectFinding} />;
+                            }}
+                          />
+                          {msg.streaming && <span className="inline-block w-1.5 h-4 mt-1 bg-slate-400 animate-pulse" />}
+                          {!msg.streaming && groundedReplies[idx].citations.length > 0 && (
+                            <ol className="mt-3 pt-2 border-t border-slate-100 space-y-1 text-xs">
+                              {groundedReplies[idx].citations.map(citation => (
+                                <li key={citation.id}>
+                                  <button
+                                    onClick={() => citation.verified && selectFinding(citation.id)}
+                                    disabled={!citation.verified}
+                                    className="text-left text-slate-500 enabled:hover:text-blue-600"
+                                  >
+                                    <span className="font-semibold">[{citation.number}]</span>{' '}
+                                    {citation.verified
+                                      ? [citation.page && `Page ${citation.page}`, citation.section].filter(Boolean).join(' • ') || 'Contract text'
+                                      : <span className="text-amber-700">Not found in the contract</span>}
+                                    <span className="block italic truncate">"{citation.text}"</span>
+                                  </button>
+                                </li>
+                              ))}
+                            </ol>
+                          )}
+                          {!msg.streaming && !msg.stopped && (groundedReplies[idx].citations.length === 0 || groundedReplies[idx].citations.some(c => !c.verified)) && (
+                            <p className="mt-2 flex items-start gap-1.5 p-2 rounded-lg bg-amber-50 text-xs text-amber-800">
+                              <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+                              {groundedReplies[idx].citations.length === 0
+                                ? 'This answer does not cite the contract. Verify it against the document before relying on it.'
+                                : 'Some quoted text could not be found in the contract. Those parts of the answer may not be grounded in it.'}
+                            </p>
+                          )}
+                        </>
+                      ) : (
+                        <>
+                          <Markdown text={msg.text} />
+                          {msg.streaming && <span className="inline-block w-1.5 h-4 mt-1 bg-slate-400 animate-pulse" />}
+                        </>
+                      )}
+                      {msg.stopped && <p className="mt-2 text-[10px] uppercase tracking-wider text-slate-400">Stopped</p>}
+                      {!msg.streaming && (
+                        <div className={`mt-2 flex items-center gap-3 text-xs ${msg.role === 'user' ? 'justify-end text-blue-200' : 'text-slate-400'}`}>
+                          {msg.at && <span>{new Date(msg.at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}</span>}
+                          <button
+                            onClick={() => copyMessage(idx)}
+                            className={`flex items-center gap-1 transition-colors ${msg.role === 'user' ? 'hover:text-white' : 'hover:text-blue-600'}`}
+                          >
+                            {copiedMessage === idx ? <Check className="w-3 h-3" /> : <Copy className="w-3 h-3" />}
+                            {copiedMessage === idx ? 'Copied' : 'Copy'}
+                          </button>
+                          {msg.role === 'model' && idx > 0 && idx === chatHistory.length - 1 && (
+                            <button
+                              onClick={regenerateReply}
+                              className="flex items-center gap-1 hover:text-blue-600 transition-colors"
+                            >
+                              <RotateCcw className="w-3 h-3" />
+                              Regenerate
+                            </button>
+                          )}
+                        </div>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -551,6 +6501,19 @@ Health Future Supply Chain Team`;
 
           {/* Input Area */}
           <div className="p-4 bg-white border-t border-slate-200">
+            {suggestedQuestions.length > 0 && (
+              <div className="max-w-3xl mx-auto flex flex-wrap gap-2 mb-3">
+                {suggestedQuestions.map(question => (
+                  <button
+                    key={question}
+                    onClick={() => handleSendMessage(question)}
+                    className="px-3 py-1 text-xs text-slate-600 bg-slate-50 border border-slate-200 rounded-full hover:bg-blue-50 hover:border-blue-200 hover:text-blue-700 transition-colors"
+                  >
+                    {question}
+                  </button>
+                ))}
+              </div>
+            )}
             <div className="max-w-3xl mx-auto relative">
               <input
                 type="text"
@@ -561,13 +6524,23 @@ Health Future Supply Chain Team`;
                 disabled={!analysis}
                 className="w-full pl-5 pr-12 py-4 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all disabled:opacity-50 disabled:cursor-not-allowed"
               />
-              <button 
-                onClick={handleSendMessage}
-                disabled={!inputMessage.trim() || !analysis}
-                className="absolute right-3 top-1/2 -translate-y-1/2 p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-0 disabled:cursor-not-allowed transition-all"
-              >
-                <Send className="w-4 h-4" />
-              </button>
+              {replyStreaming ? (
+                <button 
+                  onClick={stopReply}
+                  className="absolute right-3 top-1/2 -translate-y-1/2 flex items-center gap-1 px-3 py-2 bg-slate-800 text-white text-xs font-medium rounded-lg hover:bg-slate-700 transition-all"
+                >
+                  <Square className="w-3 h-3 fill-current" />
+                  Stop
+                </button>
+              ) : (
+                <button 
+                  onClick={() => handleSendMessage()}
+                  disabled={!inputMessage.trim() || !analysis}
+                  className="absolute right-3 top-1/2 -translate-y-1/2 p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-0 disabled:cursor-not-allowed transition-all"
+                >
+                  <Send className="w-4 h-4" />
+                </button>
+              )}
             </div>
             <div className="text-center mt-2">
                <p className="text-[10px] text-slate-400">AI can make mistakes. Verify important terms with Legal Counsel.</p>
@@ -575,11 +6548,58 @@ Health Future Supply Chain Team`;
           </div>
         </div>
 
+        {/* Playbook Editor */}
+        <PlaybookEditorModal
+            isOpen={showPlaybookEditor}
+            onClose={() => setShowPlaybookEditor(false)}
+            playbook={latestPlaybook(editorType)}
+            versionCount={playbookVersions[editorType].length}
+            onSave={handleSavePlaybook}
+            onChangeType={setEditorType}
+        />
+
+        {/* Model Settings */}
+        <ProviderSettingsModal
+            isOpen={showSettings}
+            onClose={() => setShowSettings(false)}
+            settings={providerSettings}
+            keyRemembered={apiKeyRemembered}
+            onSave={saveSettings}
+        />
+
+        {/* Review History */}
+        <HistorySidebar
+            isOpen={showHistory}
+            onClose={() => setShowHistory(false)}
+            reviews={reviews}
+            onOpen={openReview}
+            onDelete={removeReview}
+        />
+
         {/* Email Modal */}
-        <EmailDraftModal 
-            isOpen={showEmailModal} 
-            onClose={() => setShowEmailModal(false)} 
-            draft={generateEmailDraft()} 
+        {analysis && (
+          <EmailDraftModal 
+              isOpen={showEmailModal} 
+              onClose={() => setShowEmailModal(false)} 
+              templates={emailTemplates}
+              onSaveTemplate={(toneId, template) => setEmailTemplates(saveEmailTemplate(toneId, template))}
+              defaults={emailDefaults}
+              buildValues={emailValuesFor}
+              sentAt={activeRound?.outgoing?.sentAt}
+              onLogSent={(email) => logEmailSent(`Subject: ${email.subject}\n\n${email.body}`)}
+              onExportEml={exportEmailEml}
+              onMailto={openEmailInMail}
+          />
+        )}
+
+        <NegotiationModal
+            isOpen={showNegotiation}
+            onClose={() => setShowNegotiation(false)}
+            thread={activeNegotiation}
+            rounds={negotiationRounds}
+            candidates={contracts.filter(c => !negotiationOf(negotiations, c.id))}
+            onAddRound={addNegotiationRound}
+            onSaveResponse={saveVendorResponse}
         />
       </main>
     </div>
@@ -0,0 +1,304 @@
+// SupplyChainGuard model proxy
+//
+// A small server that holds the provider credentials so they never reach the browser. The app's
+// "Health Future proxy" provider sends every analysis and chat request here; the proxy checks the
+// caller's access token, applies per-user rate and size limits, logs the request and streams the
+// model's reply back. Only Node built-ins are used, so it runs with a plain `node` (18 or later):
+//
+//   GEMINI_API_KEY=... PROXY_USERS="alice:token-a,bob:token-b" node proxy/server.mjs
+//   node proxy/server.mjs --stub      # canned replies, no network access or key needed
+//
+// Settings come from the environment:
+//   PORT, HOST              where to listen (default 127.0.0.1:8787)
+//   GEMINI_API_KEY          the provider key (not needed in stub mode)
+//   PROXY_STUB=1            same as --stub
+//   PROXY_USERS             comma-separated name:token pairs. Without any, the proxy is open and
+//                           callers are identified by address only; use that for local testing.
+//   PROXY_MODELS            comma-separated models callers may ask for; the first is the default
+//   PROXY_RATE_LIMIT        requests per user per minute (default 10)
+//   PROXY_MAX_BODY_MB       largest accepted request, contract included (default 25)
+//   PROXY_ALLOWED_ORIGIN    the app's origin for CORS (default *)
+//
+// Protocol: POST /v1/complete with { model, system, messages, schema } in the app's neutral message
+// format. The reply is streamed as NDJSON, one { "text": "..." } line per chunk, and a final
+// { "error": "..." } line if the model fails after streaming started. GET /health reports the mode.
+
+import http from 'node:http';
+import { timingSafeEqual } from 'node:crypto';
+
+const STUB = process.argv.includes('--stub') || process.env.PROXY_STUB === '1';
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
+const MODELS = (process.env.PROXY_MODELS || 'gemini-2.5-flash').split(',').map(model => model.trim()).filter(Boolean);
+const RATE_LIMIT = Number(process.env.PROXY_RATE_LIMIT) || 10;
+const RATE_WINDOW_MS = 60 * 1000;
+const MAX_BODY_BYTES = (Number(process.env.PROXY_MAX_BODY_MB) || 25) * 1024 * 1024;
+const ALLOWED_ORIGIN = process.env.PROXY_ALLOWED_ORIGIN || '*';
+
+// name:token pairs; a token may not contain commas
+const USERS = (process.env.PROXY_USERS || '').split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+  const separator = pair.indexOf(':');
+  return { name: pair.slice(0, separator), token: Buffer.from(pair.slice(separator + 1)) };
+});
+
+class ProxyError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+// One JSON line per request. Contract text and replies are never logged, only their sizes.
+const log = (entry) => console.log(JSON.stringify({ at: new Date().toISOString(), ...entry }));
+
+// --- Access ---
+
+const authenticate = (req) => {
+  const address = req.socket.remoteAddress;
+  if (USERS.length === 0) return `anonymous@${address}`;
+  const token = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const user = USERS.find(u => u.token.length === token.length && timingSafeEqual(u.token, token));
+  if (!user) throw new ProxyError(401, 'Missing or unknown access token.');
+  return user.name;
+};
+
+// Request times per user within the last window. A slot is taken as soon as a request arrives, so
+// parallel uploads can't all pass the check, and given back if the request turns out invalid.
+const recentRequests = new Map();
+
+const requestsInWindow = (user, now) => (recentRequests.get(user) || []).filter(time => now - time < RATE_WINDOW_MS);
+
+const reserveRequest = (user) => {
+  const now = Date.now();
+  const times = requestsInWindow(user, now);
+  if (times.length >= RATE_LIMIT) {
+    const retryAfter = Math.ceil((times[0] + RATE_WINDOW_MS - now) / 1000);
+    throw new ProxyError(429, `Rate limit of ${RATE_LIMIT} requests per minute reached. Try again in ${retryAfter}s.`, { 'Retry-After': String(retryAfter) });
+  }
+  recentRequests.set(user, [...times, now]);
+  return now;
+};
+
+const releaseRequest = (user, slot) => {
+  const times = recentRequests.get(user) || [];
+  const idx = times.indexOf(slot);
+  if (idx !== -1) recentRequests.set(user, [...times.slice(0, idx), ...times.slice(idx + 1)]);
+};
+
+// Forgets users whose window has passed, so open mode doesn't keep every address it has seen
+setInterval(() => {
+  const now = Date.now();
+  recentRequests.forEach((times, user) => {
+    if (times.every(time => now - time >= RATE_WINDOW_MS)) recentRequests.delete(user);
+  });
+}, RATE_WINDOW_MS).unref();
+
+// Oversized bodies are drained rather than cut off, so the caller still gets the 413
+const readBody = (req) => new Promise((resolve, reject) => {
+  const tooLarge = () => new ProxyError(413, `Requests are limited to ${MAX_BODY_BYTES / 1024 / 1024} MB.`);
+  if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+    req.resume();
+    reject(tooLarge());
+    return;
+  }
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+  });
+  req.on('end', () => (size > MAX_BODY_BYTES ? reject(tooLarge()) : resolve(Buffer.concat(chunks))));
+  req.on('error', reject);
+});
+
+const parseRequest = (body) => {
+  let request;
+  try {
+    request = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    throw new ProxyError(400, `Invalid JSON: ${error.message}`);
+  }
+  const valid = Array.isArray(request?.messages) && request.messages.length > 0 && request.messages.every(message => (
+    ['user', 'assistant'].includes(message?.role) && Array.isArray(message.parts)
+  ));
+  if (!valid) throw new ProxyError(400, 'Expected { messages: [{ role, parts }] }.');
+  return {
+    model: MODELS.includes(request.model) ? request.model : MODELS[0],
+    system: typeof request.system === 'string' ? request.system : '',
+    messages: request.messages,
+    schema: request.schema || null,
+  };
+};
+
+// --- Models ---
+
+const partAsText = (part) => (part.document
+  ? `CONTRACT (${part.document.name}):\n${part.document.text}`
+  : part.text);
+
+// Streams a Gemini reply, calling onText with each chunk
+const completeWithGemini = async ({ model, system, messages, schema }, signal, onText) => {
+  const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': GEMINI_API_KEY },
+    body: JSON.stringify({
+      ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+      contents: messages.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: message.parts.map(part => (part.document?.data
+          ? { inlineData: { data: part.document.data, mimeType: part.document.mimeType } }
+          : { text: partAsText(part) })),
+      })),
+      ...(schema ? { generationConfig: { responseMimeType: 'application/json', responseSchema: schema } } : {}),
+    }),
+    signal,
+  });
+  if (!response.ok) throw new ProxyError(502, `Gemini request failed (${response.status}): ${(await response.text()).slice(0, 300)}`);
+
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for await (const chunk of response.body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    lines.map(line => line.trim()).filter(line => line.startsWith('data:')).forEach(line => {
+      const event = JSON.parse(line.slice(5));
+      if (event.error) throw new ProxyError(502, event.error.message || 'Gemini stream error');
+      const text = (event.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+      if (text) onText(text);
+    });
+  }
+};
+
+// Canned replies for running the proxy without network access. The analysis and chat replies
+// quote the start of the contract, so citations and highlights work end to end.
+const completeWithStub = async ({ messages, schema }, signal, onText) => {
+  const contractText = messages[0].parts.find(part => part.document)?.document.text || '';
+  const quote = contractText.trim().split(/\s+/).slice(0, 12).join(' ');
+  const question = messages[messages.length - 1].parts.map(partAsText).join('\n\n');
+  const reply = schema
+    ? JSON.stringify({
+      summary: `Stub analysis of a ${contractText.length.toLocaleString()}-character contract. No model was called.`,
+      overallScore: 75,
+      redFlags: [],
+      keyTerms: Object.fromEntries(Object.keys(schema.properties?.keyTerms?.properties || {}).map(id => [id, null])),
+      inconsistencies: quote
+        ? [{
+          finding: 'Stub deviation for testing the proxy.',
+          quote,
+          page: 1,
+          section: '',
+          termId: null,
+          severity: 'low',
+          category: 'Other',
+          contractPosition: '',
+          standardPosition: '',
+        }]
+        : [],
+    }, null, 2)
+    : `(Stub reply) You asked: "${question}"${quote ? ` The contract opens with [[${quote}]].` : ''}`;
+
+  for (const token of reply.match(/\S+\s*/g) || []) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    signal.throwIfAborted();
+    onText(token);
+  }
+};
+
+// --- Server ---
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...corsHeaders, ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const handleComplete = async (req, res, entry) => {
+  entry.user = authenticate(req);
+  const slot = reserveRequest(entry.user);
+  let request;
+  try {
+    const body = await readBody(req);
+    entry.requestBytes = body.length;
+    request = parseRequest(body);
+  } catch (error) {
+    // Oversized and malformed requests don't count against the limit
+    releaseRequest(entry.user, slot);
+    throw error;
+  }
+  entry.model = STUB ? 'stub' : request.model;
+  entry.json = !!request.schema;
+
+  // Stop the model call when the app aborts the request
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  entry.responseChars = 0;
+  const onText = (text) => {
+    if (!res.headersSent) res.writeHead(200, { 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache', ...corsHeaders });
+    entry.responseChars += text.length;
+    res.write(`${JSON.stringify({ text })}\n`);
+  };
+  try {
+    await (STUB ? completeWithStub : completeWithGemini)(request, controller.signal, onText);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      entry.error = 'aborted by client';
+    } else if (!res.headersSent) {
+      throw error;
+    } else {
+      // Once streaming has started the status is already sent, so the error goes in the stream
+      entry.error = error.message;
+      res.write(`${JSON.stringify({ error: error.message })}\n`);
+    }
+  }
+  if (!res.headersSent) res.writeHead(200, { 'Content-Type': 'application/x-ndjson', ...corsHeaders });
+  entry.status = 200;
+  res.end();
+};
+
+const server = http.createServer(async (req, res) => {
+  const started = Date.now();
+  const entry = { method: req.method, path: req.url, address: req.socket.remoteAddress };
+  try {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, corsHeaders);
+      res.end();
+      entry.status = 204;
+    } else if (req.method === 'GET' && req.url === '/health') {
+      sendJson(res, 200, { ok: true, stub: STUB, models: MODELS, authenticated: USERS.length > 0 });
+      entry.status = 200;
+    } else if (req.method === 'POST' && req.url === '/v1/complete') {
+      await handleComplete(req, res, entry);
+    } else {
+      throw new ProxyError(404, 'Not found.');
+    }
+  } catch (error) {
+    const status = error instanceof ProxyError ? error.status : 500;
+    if (status === 500) console.error("Proxy error:", error);
+    entry.status = status;
+    entry.error = error.message;
+    if (!res.headersSent) sendJson(res, status, { error: error.message }, error.headers);
+    else res.end();
+  } finally {
+    log({ ...entry, ms: Date.now() - started });
+  }
+});
+
+if (!STUB && !GEMINI_API_KEY) {
+  console.error("GEMINI_API_KEY is not set. Set it, or run with --stub to serve canned replies.");
+  process.exit(1);
+}
+
+server.listen(PORT, HOST, () => {
+  console.log(`Model proxy listening on http://${HOST}:${PORT}${STUB ? ' (stub mode)' : ''}${USERS.length === 0 ? ' without access tokens' : ''}`);
+});